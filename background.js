@@ -1,23 +1,12 @@
-const API_BASE = 'https://api.clickup.com/api/v2';
-
-// Default settings
-const defaultSettings = {
-  features: {
-    overdue: false,
-    dueTime: true,
-    timeTracked: true,
-    completedCount: true,
-    grouping: false,
-    badge: true,
-    timeTracking: true,
-    snooze: true,
-    filters: true,
-    notifications: false,
-    idleDetection: true
-  },
-  notificationMinutes: 15,
-  idleThresholdMinutes: 1
-};
+importScripts(
+  'lib/settings.js',
+  'lib/request-scheduler.js',
+  'lib/clickup-api.js',
+  'lib/time-zone.js',
+  'lib/task-snapshot.js',
+  'lib/outbox.js',
+  'lib/timers.js'
+);
 
 // Track notified tasks to avoid duplicate notifications
 const notifiedTasks = new Set();
@@ -25,30 +14,78 @@ const notifiedTasks = new Set();
 // Track if a timer is currently recording
 let isTimerRecording = false;
 
+// Views subscribed to snapshot updates: { port, query }
+const subscribers = new Set();
+
+// Snapshot refresh in flight and the one queued to run after it, each
+// { priority, full, promise }
+let currentRefresh = null;
+let queuedRefresh = null;
+
+// Notifications reuse the snapshot while it is younger than this
+const NOTIFICATION_SNAPSHOT_MAX_AGE = 5 * 60 * 1000;
+
+// Incremental syncs only fetch tasks updated since the last sync; a full
+// resync still runs this often to correct drift (e.g. deleted tasks, or
+// changes past the page cap of an incremental sync)
+const FULL_SYNC_INTERVAL = 30 * 60 * 1000;
+
+// Overlap between incremental syncs to tolerate clock skew with ClickUp
+const SYNC_OVERLAP_MS = 60 * 1000;
+
+// Outbox replay in progress
+let isReplayingOutbox = false;
+
 // Initialize
 chrome.runtime.onInstalled.addListener(() => {
   // Set up alarm for periodic updates
   chrome.alarms.create('updateBadge', { periodInMinutes: 5 });
   chrome.alarms.create('checkNotifications', { periodInMinutes: 1 });
+  chrome.alarms.create('syncTimers', { periodInMinutes: 1 });
 
   // Set idle detection threshold from settings
   updateIdleThreshold();
 
   // Initial update
   checkPersistedTimers();
+  refreshTaskSnapshot();
+  replayOutbox();
 });
 
 // Also check on startup (for when browser restarts)
 chrome.runtime.onStartup.addListener(() => {
   updateIdleThreshold();
   checkPersistedTimers();
+  refreshTaskSnapshot();
+  replayOutbox();
+  syncTimersWithClickUp();
+});
+
+// Replay queued actions as soon as connectivity returns
+self.addEventListener('online', () => {
+  replayOutbox();
+});
+
+// Replay right away when a view queues a new action, asks for a retry or
+// discards a failed entry that held others back
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local' || !changes[OUTBOX_KEY]) return;
+
+  const wasReplayable = new Set(getReplayableOutboxEntries(changes[OUTBOX_KEY].oldValue || [])
+    .map(entry => entry.id));
+  const newlyReplayable = getReplayableOutboxEntries(changes[OUTBOX_KEY].newValue || [])
+    .some(entry => !wasReplayable.has(entry.id));
+
+  if (newlyReplayable) {
+    replayOutbox();
+  }
 });
 
 // Update idle detection threshold from settings
 async function updateIdleThreshold() {
   try {
     const { settings } = await chrome.storage.sync.get(['settings']);
-    const currentSettings = settings || defaultSettings;
+    const currentSettings = mergeSettings(settings);
 
     // Validate threshold (minimum 1 minute = 60 seconds, Chrome's minimum is 15 seconds)
     let thresholdMinutes = currentSettings.idleThresholdMinutes;
@@ -69,14 +106,13 @@ chrome.idle.onStateChanged.addListener(async (newState) => {
   try {
     // Check if idle detection is enabled
     const { settings } = await chrome.storage.sync.get(['settings']);
-    const currentSettings = settings || defaultSettings;
+    const currentSettings = mergeSettings(settings);
 
     if (!currentSettings.features.idleDetection) {
       return; // Idle detection is disabled, do nothing
     }
 
-    const result = await chrome.storage.local.get(['activeTimers']);
-    const activeTimers = result.activeTimers || {};
+    const activeTimers = await loadActiveTimers();
 
     // No active timers, nothing to do
     if (Object.keys(activeTimers).length === 0) {
@@ -92,11 +128,10 @@ chrome.idle.onStateChanged.addListener(async (newState) => {
           activeTimers[taskId].pausedAt = now;
         }
       }
-      await chrome.storage.local.set({ activeTimers });
+      await saveActiveTimers(activeTimers);
 
       // Update badge to show paused state
-      chrome.action.setBadgeText({ text: '⏸' });
-      chrome.action.setBadgeBackgroundColor({ color: '#ff9800' }); // Orange for paused
+      showRecordingBadge();
 
     } else if (newState === 'active') {
       // User became active - resume all timers
@@ -108,7 +143,7 @@ chrome.idle.onStateChanged.addListener(async (newState) => {
           activeTimers[taskId].pausedAt = null;
         }
       }
-      await chrome.storage.local.set({ activeTimers });
+      await saveActiveTimers(activeTimers);
 
       // Restore recording badge
       if (isTimerRecording) {
@@ -123,8 +158,7 @@ chrome.idle.onStateChanged.addListener(async (newState) => {
 // Check if there are persisted timers and update badge accordingly
 async function checkPersistedTimers() {
   try {
-    const result = await chrome.storage.local.get(['activeTimers']);
-    const persistedTimers = result.activeTimers || {};
+    const persistedTimers = await loadActiveTimers();
     const hasActiveTimers = Object.keys(persistedTimers).length > 0;
 
     if (hasActiveTimers) {
@@ -140,61 +174,273 @@ async function checkPersistedTimers() {
   }
 }
 
+// Keyboard shortcuts from the manifest's "commands". _execute_action (open
+// the popup) is handled by Chrome itself.
+chrome.commands.onCommand.addListener((command) => {
+  if (command === 'toggle-timer') {
+    toggleRecentTimer();
+  }
+});
+
+// Stop the running timer (the latest started, if several run), or restart
+// the one that ran last, without opening the popup
+async function toggleRecentTimer() {
+  try {
+    const { clickupApiKey } = await chrome.storage.sync.get(['clickupApiKey']);
+    if (!clickupApiKey) return;
+
+    const timers = await loadActiveTimers();
+    const taskId = getLatestTimerId(timers);
+    const lastTimer = await loadLastTimer();
+
+    if (taskId) {
+      const timer = timers[taskId];
+      const client = await ClickUpClient.fromStorage({ apiKey: clickupApiKey, priority: 'foreground' });
+
+      try {
+        await logTimerEntry(client, taskId, timer);
+      } catch (err) {
+        console.error('Error stopping ClickUp timer:', err);
+        showTimerNotification('Timer still running', 'Could not stop the timer in ClickUp. Try again in a moment.');
+        return;
+      }
+      delete timers[taskId];
+      await saveActiveTimers(timers);
+
+      isTimerRecording = Object.keys(timers).length > 0;
+      updateBadgeCount();
+      const name = await getTimerTaskName(taskId);
+      showTimerNotification('Timer stopped', `Logged ${formatDuration(getEffectiveElapsed(timer))}${name ? ` to "${name}"` : ''}`);
+      refreshTaskSnapshot();
+    } else if (lastTimer) {
+      const settings = await loadSettings();
+      let remote = null;
+      if (settings.features.timerSync && lastTimer.teamId) {
+        const client = await ClickUpClient.fromStorage({ apiKey: clickupApiKey, priority: 'foreground' });
+        remote = await startRemoteTimer(client, lastTimer.teamId, lastTimer.taskId);
+      }
+
+      await saveActiveTimers({ [lastTimer.taskId]: createTimer(Date.now(), remote) });
+      isTimerRecording = true;
+      showRecordingBadge();
+      showTimerNotification('Timer started', lastTimer.name ? `Tracking "${lastTimer.name}"` : 'Tracking time');
+    } else {
+      showTimerNotification('No recent timer', 'Start a timer from the popup first.');
+    }
+  } catch (err) {
+    console.error('Error toggling timer:', err);
+  }
+}
+
+function showTimerNotification(title, message) {
+  chrome.notifications.create(`timer-${Date.now()}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title,
+    message
+  });
+}
+
+// "1h 25m", or "45s" under a minute
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes === 0) return `${Math.floor(ms / 1000)}s`;
+
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+}
+
+// Pick up timers started or stopped in ClickUp (or on another device) when
+// timer sync is on. The popup asks for this when it opens; otherwise it
+// runs every minute.
+async function syncTimersWithClickUp() {
+  try {
+    const settings = await loadSettings();
+    if (!settings.features.timeTracking || !settings.features.timerSync) return;
+
+    const { clickupApiKey } = await chrome.storage.sync.get(['clickupApiKey']);
+    if (!clickupApiKey) return;
+
+    const teamIds = (await loadTaskSnapshot())?.teams?.map(team => team.id) || [];
+    if (teamIds.length === 0) return;
+
+    const client = await ClickUpClient.fromStorage({ apiKey: clickupApiKey });
+    if (await syncRunningTimers(client, teamIds)) {
+      if (settings.features.singleTimer) {
+        await stopOlderTimers(client);
+      }
+      await checkPersistedTimers();
+    }
+  } catch (err) {
+    console.error('Error syncing timers:', err);
+  }
+}
+
+// With one timer at a time, a timer started in ClickUp (or on another
+// device) replaces the one running here: keep the latest, log the rest
+async function stopOlderTimers(client) {
+  const timers = await loadActiveTimers();
+  const latestId = getLatestTimerId(timers);
+
+  for (const taskId of Object.keys(timers)) {
+    if (taskId === latestId) continue;
+
+    try {
+      await logTimerEntry(client, taskId, timers[taskId]);
+      delete timers[taskId];
+    } catch (err) {
+      console.error('Error stopping ClickUp timer:', err);
+    }
+  }
+
+  await saveActiveTimers(timers);
+}
+
 // Listen for alarms
-chrome.alarms.onAlarm.addListener((alarm) => {
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  // Queued user actions are not polling, so they ignore the budget check
+  if (alarm.name === OUTBOX_REPLAY_ALARM) {
+    replayOutbox();
+    return;
+  }
+
+  // Leave the remaining rate-limit budget to the popup
+  if (await isRateLimitBudgetLow()) {
+    return;
+  }
+
   if (alarm.name === 'updateBadge') {
-    updateBadgeCount();
+    refreshTaskSnapshot();
   } else if (alarm.name === 'checkNotifications') {
     checkDueNotifications();
+  } else if (alarm.name === 'syncTimers') {
+    syncTimersWithClickUp();
   }
 });
 
 // Listen for messages from popup/options
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'SETTINGS_UPDATED') {
-    updateBadgeCount();
+    refreshTaskSnapshot({ full: true });
     updateIdleThreshold();
   } else if (message.type === 'UPDATE_BADGE') {
     updateBadgeCount();
   } else if (message.type === 'GET_TASKS') {
-    fetchTasks().then(tasks => sendResponse({ tasks }));
+    // One-shot query: { query: { ...task query (lib/task-snapshot.js), refresh } }
+    getTasks(message.query).then(sendResponse);
     return true; // Keep channel open for async response
+  } else if (message.type === 'TASK_PATCHED') {
+    patchSnapshotTask(message.taskId, message.changes);
+  } else if (message.type === 'TASK_CREATED') {
+    addSnapshotTask(message.task);
   } else if (message.type === 'TIMER_STARTED') {
     isTimerRecording = true;
     showRecordingBadge();
   } else if (message.type === 'TIMER_STOPPED') {
     isTimerRecording = false;
     updateBadgeCount();
+  } else if (message.type === 'SYNC_TIMERS') {
+    syncTimersWithClickUp();
   }
 });
 
-// Show recording indicator on badge
-function showRecordingBadge() {
-  chrome.action.setBadgeText({ text: '●' });
-  chrome.action.setBadgeBackgroundColor({ color: '#f44336' }); // Red background
+// Snapshot subscriptions. A view connects a port, sends SUBSCRIBE with its
+// query and receives the cached SNAPSHOT right away, then every update.
+// Background -> view messages: SNAPSHOT, REFRESH_STARTED, REFRESH_FAILED.
+// View -> background messages: SUBSCRIBE { query, refresh }, REFRESH { full }.
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== TASK_PORT_NAME) return;
+
+  const subscriber = { port, query: {} };
+  subscribers.add(subscriber);
+
+  port.onMessage.addListener(async (message) => {
+    if (message.type === 'SUBSCRIBE') {
+      subscriber.query = message.query || {};
+
+      const snapshot = await loadTaskSnapshot();
+      port.postMessage({ type: 'SNAPSHOT', snapshot });
+
+      // Other days, overdue and undated tasks are only fetched while someone wants them
+      const missingTasks = snapshot && !snapshotCovers(
+        snapshot,
+        getSnapshotCoverage([subscriber.query], Date.now(), getSnapshotTimeZone(snapshot))
+      );
+      if (message.refresh || !snapshot || missingTasks) {
+        refreshTaskSnapshot({ priority: 'foreground' });
+      }
+    } else if (message.type === 'REFRESH') {
+      refreshTaskSnapshot({ priority: 'foreground', full: message.full });
+    }
+  });
+
+  port.onDisconnect.addListener(() => {
+    subscribers.delete(subscriber);
+  });
+});
+
+function broadcast(message) {
+  subscribers.forEach(({ port }) => {
+    try {
+      port.postMessage(message);
+    } catch (err) {
+      // Port closed between disconnect and cleanup
+    }
+  });
+}
+
+// Show recording indicator on badge (paused while the user is idle), with
+// the timed task in the icon's tooltip
+async function showRecordingBadge() {
+  const timers = await loadActiveTimers();
+  const taskId = getLatestTimerId(timers);
+  const paused = Boolean(taskId && timers[taskId].pausedAt);
+
+  chrome.action.setBadgeText({ text: paused ? '⏸' : '●' });
+  chrome.action.setBadgeBackgroundColor({ color: paused ? '#ff9800' : '#f44336' }); // Orange for paused, red for recording
+
+  const name = taskId && await getTimerTaskName(taskId);
+  const others = Object.keys(timers).length - 1;
+  chrome.action.setTitle({
+    title: name
+      ? `${paused ? 'Paused' : 'Tracking'}: ${name}${others > 0 ? ` (+${others} more)` : ''}`
+      : ''
+  });
+}
+
+// Name of a timed task, from the snapshot or the last started timer
+async function getTimerTaskName(taskId) {
+  const task = (await loadTaskSnapshot())?.tasks.find(t => t.id === taskId);
+  if (task) return task.name;
+
+  const lastTimer = await loadLastTimer();
+  return lastTimer?.taskId === taskId ? lastTimer.name : '';
 }
 
-// Update badge count
+// Update badge count from the cached snapshot
 async function updateBadgeCount() {
   // If timer is recording, show recording badge instead of count
   if (isTimerRecording) {
     showRecordingBadge();
     return;
   }
+  chrome.action.setTitle({ title: '' });
 
   try {
     const { clickupApiKey, settings } = await chrome.storage.sync.get(['clickupApiKey', 'settings']);
-    const currentSettings = settings || defaultSettings;
+    const currentSettings = mergeSettings(settings);
 
     if (!clickupApiKey || !currentSettings.features.badge) {
       chrome.action.setBadgeText({ text: '' });
       return;
     }
 
-    const tasks = await fetchTasksWithKey(clickupApiKey, currentSettings.features.overdue);
+    const snapshot = await loadTaskSnapshot();
+    const tasks = selectTasks(snapshot, getBadgeQuery(currentSettings));
 
     if (tasks.length > 0) {
-      chrome.action.setBadgeText({ text: tasks.length.toString() });
+      // A trailing "+" means some tasks past the page limit were not counted
+      chrome.action.setBadgeText({ text: `${tasks.length}${snapshot.truncated ? '+' : ''}` });
       chrome.action.setBadgeBackgroundColor({ color: '#7b68ee' });
     } else {
       chrome.action.setBadgeText({ text: '' });
@@ -205,22 +451,55 @@ async function updateBadgeCount() {
   }
 }
 
+// The badge counts its own window, independent of what the popup shows
+function getBadgeQuery(settings) {
+  return {
+    window: settings.badgeWindow,
+    includeOverdue: settings.features.overdue,
+    includeInProgress: settings.features.inProgress,
+    members: getAlertMembers(settings)
+  };
+}
+
+// Badge and notifications cover only the user's own tasks unless they opted
+// in to following the popup's team selection
+function getAlertMembers(settings) {
+  return settings.features.teamView && settings.teamAlerts ? settings.teamView : undefined;
+}
+
+// " (Ana, Ben)" when a task is only assigned to other people, else ''
+function formatOtherAssignees(task, userId) {
+  const assignees = task.assignees || [];
+  if (assignees.length === 0 || isAssignedTo(task, userId)) return '';
+  return ` (${assignees.map(assignee => assignee.username).join(', ')})`;
+}
+
 // Check for tasks approaching due time and send notifications
 async function checkDueNotifications() {
   try {
     const { clickupApiKey, settings } = await chrome.storage.sync.get(['clickupApiKey', 'settings']);
-    const currentSettings = settings || defaultSettings;
+    const currentSettings = mergeSettings(settings);
 
     if (!clickupApiKey || !currentSettings.features.notifications) {
       return;
     }
 
-    const tasks = await fetchTasksWithKey(clickupApiKey, false);
+    let snapshot = await loadTaskSnapshot();
+    if (!snapshot || Date.now() - snapshot.fetchedAt > NOTIFICATION_SNAPSHOT_MAX_AGE) {
+      snapshot = await refreshTaskSnapshot();
+    }
+
+    if (!snapshot) {
+      return;
+    }
+
+    const tasks = selectTasks(snapshot, { members: getAlertMembers(currentSettings) });
     const now = Date.now();
     const notifyBeforeMs = (currentSettings.notificationMinutes || 15) * 60 * 1000;
 
     for (const task of tasks) {
-      if (!task.due_date) continue;
+      // All-day tasks have no time to be due at
+      if (!task.due_date || !task.due_date_time) continue;
 
       const dueDate = parseInt(task.due_date, 10);
       const timeUntilDue = dueDate - now;
@@ -232,7 +511,7 @@ async function checkDueNotifications() {
           type: 'basic',
           iconUrl: 'icons/icon128.png',
           title: 'Task Due Soon',
-          message: `"${task.name}" is due in ${Math.round(timeUntilDue / 60000)} minutes`,
+          message: `"${task.name}" is due in ${Math.round(timeUntilDue / 60000)} minutes${formatOtherAssignees(task, snapshot.userId)}`,
           priority: 2
         });
 
@@ -255,21 +534,12 @@ async function checkDueNotifications() {
 // Handle notification clicks
 chrome.notifications.onClicked.addListener((notificationId) => {
   // notificationId is the task ID
-  chrome.storage.sync.get(['clickupApiKey'], async (result) => {
-    if (result.clickupApiKey) {
+  ClickUpClient.fromStorage().then(async (client) => {
+    if (client.apiKey) {
       try {
-        const response = await fetch(`${API_BASE}/task/${notificationId}`, {
-          headers: {
-            'Authorization': result.clickupApiKey,
-            'Content-Type': 'application/json'
-          }
-        });
-
-        if (response.ok) {
-          const task = await response.json();
-          if (task.url) {
-            chrome.tabs.create({ url: task.url });
-          }
+        const task = await client.getTask(notificationId);
+        if (task.url) {
+          chrome.tabs.create({ url: task.url });
         }
       } catch (err) {
         console.error('Error opening task:', err);
@@ -280,123 +550,391 @@ chrome.notifications.onClicked.addListener((notificationId) => {
   chrome.notifications.clear(notificationId);
 });
 
-// Fetch tasks with provided API key
-async function fetchTasksWithKey(apiKey, includeOverdue = false) {
-  // Check if we have a valid API key
-  if (!apiKey) {
-    return [];
+// Re-fetch the task snapshot, store it and push it to every subscriber.
+// Resolves to the new snapshot, or null when it could not be fetched
+// (subscribers get REFRESH_FAILED). Pass `full` to skip the incremental sync
+// (e.g. after the API key changed).
+// Callers share the refresh in flight when it is at least as thorough and
+// urgent as they ask for. Otherwise (a full or foreground refresh while an
+// incremental or background one runs, maybe with the old key or settings)
+// one more refresh is queued behind it, and later callers join that one.
+function refreshTaskSnapshot({ priority = 'background', full = false } = {}) {
+  if (currentRefresh && (currentRefresh.full || !full) &&
+      (currentRefresh.priority === 'foreground' || priority === 'background')) {
+    return currentRefresh.promise;
   }
 
-  try {
-    // Get current user
-    const userResponse = await fetch(`${API_BASE}/user`, {
-      headers: {
-        'Authorization': apiKey,
-        'Content-Type': 'application/json'
-      }
+  if (queuedRefresh) {
+    queuedRefresh.full = queuedRefresh.full || full;
+    if (priority === 'foreground') queuedRefresh.priority = 'foreground';
+    return queuedRefresh.promise;
+  }
+
+  if (currentRefresh) {
+    const queued = { priority, full };
+    queued.promise = currentRefresh.promise.then(() => {
+      queuedRefresh = null;
+      return startTaskSnapshotRefresh(queued);
     });
+    queuedRefresh = queued;
+    return queued.promise;
+  }
+
+  return startTaskSnapshotRefresh({ priority, full });
+}
+
+function startTaskSnapshotRefresh({ priority, full }) {
+  const refresh = { priority, full };
+  currentRefresh = refresh;
+
+  refresh.promise = (async () => {
+    broadcast({ type: 'REFRESH_STARTED' });
+
+    try {
+      const { clickupApiKey, settings } = await chrome.storage.sync.get(['clickupApiKey', 'settings']);
+      const currentSettings = mergeSettings(settings);
+
+      if (!clickupApiKey) {
+        await chrome.storage.local.remove(TASK_SNAPSHOT_KEY);
+        broadcast({ type: 'SNAPSHOT', snapshot: null });
+        updateBadgeCount();
+        return null;
+      }
+
+      const client = await ClickUpClient.fromStorage({ apiKey: clickupApiKey, priority });
+      const previous = await loadTaskSnapshot();
+      const options = {
+        queries: [getBadgeQuery(currentSettings), ...[...subscribers].map(({ query }) => query)],
+        includeCompletedCount: currentSettings.features.completedCount,
+        maxPages: currentSettings.maxTaskPages,
+        knownParents: previous?.parentTasks || {}
+      };
+
+      let snapshot = null;
+      if (!full && canSyncIncrementally(previous, options)) {
+        snapshot = await syncTaskSnapshot(client, previous, options);
+      }
+      if (!snapshot) {
+        snapshot = await fetchTaskSnapshot(client, options);
+      }
 
-    if (!userResponse.ok) {
-      console.warn('Failed to get user, status:', userResponse.status);
-      return [];
+      await chrome.storage.local.set({ [TASK_SNAPSHOT_KEY]: snapshot });
+      broadcast({ type: 'SNAPSHOT', snapshot });
+      updateBadgeCount();
+      return snapshot;
+    } catch (err) {
+      if (err instanceof AuthError) {
+        // Never keep showing tasks for a key that no longer works
+        await chrome.storage.local.remove(TASK_SNAPSHOT_KEY);
+        updateBadgeCount();
+      } else if (!(err instanceof NetworkError)) {
+        // Network errors are expected when offline
+        console.error('Error refreshing tasks:', err);
+      }
+      broadcast({ type: 'REFRESH_FAILED', error: serializeError(err) });
+      return null;
+    } finally {
+      if (currentRefresh === refresh) {
+        currentRefresh = null;
+      }
     }
-    const userData = await userResponse.json();
-    const currentUserId = userData.user.id;
-
-    // Get teams
-    const teamsResponse = await fetch(`${API_BASE}/team`, {
-      headers: {
-        'Authorization': apiKey,
-        'Content-Type': 'application/json'
+  })();
+
+  return refresh.promise;
+}
+
+// Full sync: fetch everything the `queries` need: tasks due in the covered
+// window (open and closed), overdue, undated and in-progress open tasks when
+// requested, space and parent-task names, workspace members, and the number
+// of tasks the user completed today. Tasks are the user's own plus those of
+// the members the views picked. Days follow the time zone of the user's
+// ClickUp profile.
+async function fetchTaskSnapshot(client, { queries, includeCompletedCount, maxPages, knownParents }) {
+  const syncStartedAt = Date.now();
+  const user = await client.getUser();
+  const currentUserId = user.id;
+  const timeZone = isValidTimeZone(user.timezone) ? user.timezone : getLocalTimeZone();
+  const teams = await client.getTeams();
+
+  const { window, includeOverdue, includeUndated, includeInProgress, assignees } = getSnapshotCoverage(queries, syncStartedAt, timeZone);
+  const windowDays = { from: getDayKey(window.start, timeZone), to: getDayKey(window.end, timeZone) };
+  const { start: todayStart, end: todayEndMs } = getTodayRange(syncStartedAt, timeZone);
+
+  // Searches cover the user and any members the views picked, or every task
+  const otherUserIds = assignees.userIds.filter(id => id !== String(currentUserId));
+  const assigneeFilter = assignees.all ? {} : { assignees: [currentUserId, ...otherUserIds] };
+
+  const spaces = {};
+  const members = new Map(); // id -> member, for the popup's member picker
+  const tasksById = new Map(); // Searches overlap when the window starts before today
+  let truncated = false;
+  const completedTodayIds = includeCompletedCount ? [] : null;
+  const syncState = {};
+
+  for (const team of teams) {
+    (team.members || []).forEach(({ user: member }) => {
+      if (member && !members.has(member.id)) {
+        members.set(member.id, {
+          id: member.id,
+          username: member.username || member.email,
+          initials: member.initials,
+          color: member.color,
+          profilePicture: member.profilePicture
+        });
       }
     });
 
-    if (!teamsResponse.ok) {
-      console.warn('Failed to get teams, status:', teamsResponse.status);
-      return [];
+    // Fetch spaces to build space name lookup
+    try {
+      const teamSpaces = await client.getSpaces(team.id);
+      teamSpaces.forEach(space => {
+        spaces[space.id] = space.name;
+      });
+    } catch (err) {
+      if (err instanceof AuthError) throw err;
+      console.error(`Error fetching spaces for team ${team.name}:`, err);
     }
-    const teamsData = await teamsResponse.json();
 
-    if (!teamsData.teams || teamsData.teams.length === 0) {
-      return [];
+    const searches = [
+      // Everything due in the window, including tasks already closed
+      {
+        ...assigneeFilter,
+        due_date_gt: window.start - 1,
+        due_date_lt: window.end + 1,
+        include_closed: true,
+        subtasks: true
+      }
+    ];
+    if (includeOverdue) {
+      // Open tasks due before today
+      searches.push({
+        ...assigneeFilter,
+        due_date_lt: todayStart,
+        include_closed: false,
+        subtasks: true
+      });
+    }
+    if (includeUndated || includeInProgress) {
+      // The API can filter on neither a missing due date nor the start date;
+      // fetch open tasks and keep the undated and in-progress ones
+      searches.push({
+        ...assigneeFilter,
+        include_closed: false,
+        subtasks: true
+      });
     }
 
-    // Get today's date range
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const todayStart = today.getTime();
-
-    const todayEnd = new Date(today);
-    todayEnd.setHours(23, 59, 59, 999);
-    const todayEndMs = todayEnd.getTime();
+    for (const params of searches) {
+      const result = await client.searchAllTasks(team.id, params, { maxPages });
+      truncated = truncated || result.truncated;
 
-    const allTasks = [];
+      const unfiltered = !params.due_date_gt && !params.due_date_lt;
+      result.tasks.forEach(task => {
+        if (unfiltered &&
+          !(includeUndated && !task.due_date) &&
+          !(includeInProgress && isTaskInProgress(task, windowDays, timeZone))) {
+          return;
+        }
+        tasksById.set(task.id, slimTask({ ...task, teamId: team.id, teamName: team.name }));
+      });
+    }
 
-    for (const team of teamsData.teams) {
+    if (includeCompletedCount) {
       try {
-        let url;
-        if (includeOverdue) {
-          // Include overdue: due_date less than end of today
-          url = `${API_BASE}/team/${team.id}/task?assignees[]=${currentUserId}&due_date_lt=${todayEndMs + 1}&include_closed=false&subtasks=true`;
-        } else {
-          // Only today
-          url = `${API_BASE}/team/${team.id}/task?assignees[]=${currentUserId}&due_date_gt=${todayStart - 1}&due_date_lt=${todayEndMs + 1}&include_closed=false&subtasks=true`;
-        }
+        const result = await client.searchAllTasks(team.id, {
+          assignees: [currentUserId],
+          date_done_gt: todayStart,
+          date_done_lt: todayEndMs + 1,
+          include_closed: true,
+          subtasks: true
+        }, { maxPages });
+
+        result.tasks.filter(isTaskCompleted).forEach(task => completedTodayIds.push(task.id));
+      } catch (err) {
+        if (err instanceof AuthError) throw err;
+        console.error(`Error fetching completed tasks for team ${team.name}:`, err);
+      }
+    }
 
-        const response = await fetch(url, {
-          headers: {
-            'Authorization': apiKey,
-            'Content-Type': 'application/json'
-          }
-        });
+    syncState[team.id] = syncStartedAt;
+  }
 
-        if (response.ok) {
-          const data = await response.json();
-          if (data.tasks) {
-            // Filter tasks
-            const filteredTasks = data.tasks.filter(task => {
-              if (!task.due_date) return false;
-              const dueDate = parseInt(task.due_date, 10);
-
-              if (includeOverdue) {
-                return dueDate <= todayEndMs;
-              } else {
-                return dueDate >= todayStart && dueDate <= todayEndMs;
-              }
-            });
-
-            filteredTasks.forEach(task => {
-              task.teamName = team.name;
-              allTasks.push(task);
-            });
-          }
-        }
-      } catch (err) {
-        // Suppress network errors which are expected when offline
-        if (err.message !== 'Failed to fetch') {
-          console.error(`Error fetching tasks for team ${team.name}:`, err);
-        }
+  const tasks = [...tasksById.values()];
+
+  return {
+    fetchedAt: Date.now(),
+    lastFullSyncAt: syncStartedAt,
+    dayStart: todayStart,
+    timeZone,
+    syncState,
+    userId: currentUserId,
+    members: [...members.values()],
+    teams: teams.map(team => ({ id: team.id, name: team.name })),
+    spaces,
+    parentTasks: await fetchParentNames(client, tasks, knownParents),
+    tasks,
+    truncated,
+    window,
+    includesOverdue: includeOverdue,
+    includesUndated: includeUndated,
+    includesInProgress: includeInProgress,
+    assignees: { all: assignees.all, userIds: otherUserIds },
+    completedTodayIds,
+    completedToday: completedTodayIds ? completedTodayIds.length : null
+  };
+}
+
+// Whether the previous snapshot can be brought up to date incrementally
+function canSyncIncrementally(previous, options) {
+  if (!previous || !previous.syncState) return false;
+
+  // Snapshots from before time zones were tracked
+  if (!previous.timeZone) return false;
+
+  // The day rolled over, so the window itself moved
+  const now = Date.now();
+  if (previous.dayStart !== getTodayRange(now, previous.timeZone).start) return false;
+  if (now - previous.lastFullSyncAt > FULL_SYNC_INTERVAL) return false;
+
+  // Coverage grew: another window, overdue, undated or in-progress tasks, or
+  // the completed count were not fetched
+  if (!snapshotCovers(previous, getSnapshotCoverage(options.queries, now, previous.timeZone))) return false;
+  if (options.includeCompletedCount && !previous.completedTodayIds) return false;
+
+  return true;
+}
+
+// Fetch only tasks updated since each team's last sync and merge them in.
+// Resolves to null when a team has no sync state yet and a full sync is
+// needed instead.
+async function syncTaskSnapshot(client, previous, { maxPages, knownParents }) {
+  let snapshot = previous;
+  let truncated = Boolean(previous.truncated);
+  const syncState = { ...previous.syncState };
+
+  for (const team of previous.teams) {
+    const syncStartedAt = Date.now();
+    const lastSyncAt = syncState[team.id];
+    if (!lastSyncAt) return null;
+
+    // Not filtered by assignee or due date, so tasks that were unassigned or
+    // rescheduled come back too and can be evicted. Nor by space or list:
+    // the snapshot covers the whole workspace, so a newly assigned task can
+    // come from any of them. The cost is that a busy workspace can change
+    // more tasks between syncs than the page cap allows.
+    const result = await client.searchAllTasks(team.id, {
+      date_updated_gt: lastSyncAt - SYNC_OVERLAP_MS,
+      include_closed: true,
+      subtasks: true
+    }, { maxPages });
+
+    // Falling back to a full sync here would make every sync of such a
+    // workspace a full one. Merge the pages we got and leave the rest to
+    // the full resync FULL_SYNC_INTERVAL already schedules; the snapshot is
+    // flagged as truncated until then.
+    truncated = truncated || result.truncated;
+
+    const changedTasks = result.tasks.map(task => ({ ...task, teamId: team.id, teamName: team.name }));
+    snapshot = mergeTaskChanges(snapshot, changedTasks);
+    syncState[team.id] = syncStartedAt;
+  }
+
+  return {
+    ...snapshot,
+    fetchedAt: Date.now(),
+    syncState,
+    truncated,
+    parentTasks: await fetchParentNames(client, snapshot.tasks, knownParents)
+  };
+}
+
+// Fetch parent task names for subtasks we have not seen before
+async function fetchParentNames(client, tasks, knownParents) {
+  const parentTasks = {};
+  const parentIds = [...new Set(tasks.filter(t => t.parent).map(t => t.parent))];
+
+  await Promise.all(parentIds.map(async (parentId) => {
+    if (knownParents[parentId]) {
+      parentTasks[parentId] = knownParents[parentId];
+      return;
+    }
+
+    try {
+      const parentTask = await client.getTask(parentId);
+      if (parentTask && parentTask.name) {
+        parentTasks[parentId] = parentTask.name;
       }
+    } catch (err) {
+      console.error(`Error fetching parent task ${parentId}:`, err);
     }
+  }));
 
-    return allTasks;
-  } catch (err) {
-    // Only log if it's not a network error (which is expected when offline)
-    if (err.message !== 'Failed to fetch') {
-      console.error('Error fetching tasks:', err);
+  return parentTasks;
+}
+
+// Replay the outbox and refresh the snapshot if anything was synced. While
+// entries can still be replayed, an alarm retries every minute.
+async function replayOutbox() {
+  if (isReplayingOutbox) return;
+  isReplayingOutbox = true;
+
+  try {
+    const client = await ClickUpClient.fromStorage();
+    if (!client.apiKey) return;
+
+    const synced = await processOutbox(client);
+    if (synced > 0) {
+      refreshTaskSnapshot();
     }
-    return [];
+
+    scheduleOutboxReplay(await loadOutbox());
+  } catch (err) {
+    console.error('Error replaying outbox:', err);
+  } finally {
+    isReplayingOutbox = false;
+  }
+}
+
+// Apply a change made by a view (complete, snooze) to the cached snapshot
+async function patchSnapshotTask(taskId, changes) {
+  try {
+    const snapshot = applyTaskPatch(await loadTaskSnapshot(), taskId, changes);
+    if (!snapshot) return;
+
+    await chrome.storage.local.set({ [TASK_SNAPSHOT_KEY]: snapshot });
+    broadcast({ type: 'SNAPSHOT', snapshot });
+    updateBadgeCount();
+  } catch (err) {
+    console.error('Error patching task snapshot:', err);
+  }
+}
+
+// Add a task created by a view (quick add) to the cached snapshot
+async function addSnapshotTask(task) {
+  try {
+    const snapshot = await loadTaskSnapshot();
+    if (!snapshot) return;
+
+    const updated = mergeTaskChanges(snapshot, [task]);
+    await chrome.storage.local.set({ [TASK_SNAPSHOT_KEY]: updated });
+    broadcast({ type: 'SNAPSHOT', snapshot: updated });
+    updateBadgeCount();
+  } catch (err) {
+    console.error('Error adding task to snapshot:', err);
   }
 }
 
-// Fetch tasks (called from popup)
-async function fetchTasks() {
-  const { clickupApiKey, settings } = await chrome.storage.sync.get(['clickupApiKey', 'settings']);
-  const currentSettings = settings || defaultSettings;
+// Answer a one-shot GET_TASKS query from the snapshot
+async function getTasks(query = {}) {
+  let snapshot = await loadTaskSnapshot();
 
-  if (!clickupApiKey) {
-    return [];
+  if (query.refresh || !snapshot) {
+    snapshot = (await refreshTaskSnapshot({ priority: 'foreground' })) || snapshot;
   }
 
-  return fetchTasksWithKey(clickupApiKey, currentSettings.features.overdue);
+  return {
+    tasks: selectTasks(snapshot, query),
+    truncated: snapshot?.truncated || false,
+    fetchedAt: snapshot?.fetchedAt || null
+  };
 }
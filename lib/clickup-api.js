@@ -0,0 +1,293 @@
+// Shared ClickUp API client.
+// Loaded with a <script> tag by the popup and options page, and with
+// importScripts() by the background service worker, so everything declared
+// here is a global. Requires lib/settings.js and lib/request-scheduler.js to be
+// loaded first.
+
+const CLICKUP_API_BASE = 'https://api.clickup.com/api/v2';
+
+// ClickUp returns at most this many tasks per search page
+const TASKS_PAGE_SIZE = 100;
+
+// Base class for every error the client throws
+class ClickUpError extends Error {
+  constructor(message, { status = null, endpoint = null, body = null } = {}) {
+    super(message);
+    this.name = 'ClickUpError';
+    this.status = status;
+    this.endpoint = endpoint;
+    this.body = body;
+  }
+}
+
+// 401/403 - missing, invalid or revoked API key
+class AuthError extends ClickUpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthError';
+  }
+}
+
+// 404 - task, list or team no longer exists (or is not visible to the user)
+class NotFoundError extends ClickUpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+// 429 - rate limit exceeded; retryAfter is in milliseconds when known
+class RateLimitError extends ClickUpError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'RateLimitError';
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+// The request never got a response (offline, DNS, CORS, aborted)
+class NetworkError extends ClickUpError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetworkError';
+  }
+}
+
+// Build a query string, expanding arrays into ClickUp's `key[]=value` form
+function buildQueryString(params = {}) {
+  const parts = [];
+
+  for (const [key, value] of Object.entries(params)) {
+    if (value === undefined || value === null) continue;
+
+    if (Array.isArray(value)) {
+      value.forEach(item => {
+        parts.push(`${encodeURIComponent(key)}[]=${encodeURIComponent(item)}`);
+      });
+    } else {
+      parts.push(`${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+    }
+  }
+
+  return parts.length > 0 ? `?${parts.join('&')}` : '';
+}
+
+class ClickUpClient {
+  // `priority` is 'foreground' for user-initiated calls and 'background' for
+  // polling; background calls queue behind foreground ones.
+  constructor({ apiKey, baseUrl = CLICKUP_API_BASE, priority = 'foreground', scheduler = requestScheduler } = {}) {
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.priority = priority;
+    this.scheduler = scheduler;
+  }
+
+  // Create a client from the stored API key. `apiBaseUrl` can be set in
+  // chrome.storage.sync to point the extension at a mock server.
+  static async fromStorage(overrides = {}) {
+    const { clickupApiKey, apiBaseUrl } = await chrome.storage.sync.get(['clickupApiKey', 'apiBaseUrl']);
+    return new ClickUpClient({
+      apiKey: clickupApiKey,
+      baseUrl: apiBaseUrl || CLICKUP_API_BASE,
+      ...overrides
+    });
+  }
+
+  async request(method, endpoint, { query, body } = {}) {
+    const url = `${this.baseUrl}${endpoint}${buildQueryString(query)}`;
+    const options = {
+      method,
+      headers: {
+        'Authorization': this.apiKey,
+        'Content-Type': 'application/json'
+      }
+    };
+
+    if (body !== undefined) {
+      options.body = JSON.stringify(body);
+    }
+
+    let response;
+    try {
+      // POSTs create entries, so a 5xx is not retried to avoid duplicates
+      response = await this.scheduler.schedule(() => fetch(url, options), {
+        priority: this.priority,
+        retryServerErrors: method !== 'POST'
+      });
+    } catch (err) {
+      throw new NetworkError(`Network error: ${err.message}`, { endpoint });
+    }
+
+    // Some endpoints answer with an empty body
+    const text = await response.text();
+    let data = null;
+    if (text) {
+      try {
+        data = JSON.parse(text);
+      } catch (err) {
+        data = text;
+      }
+    }
+
+    if (!response.ok) {
+      throw createErrorForResponse(response, endpoint, data);
+    }
+
+    return data;
+  }
+
+  get(endpoint, query) {
+    return this.request('GET', endpoint, { query });
+  }
+
+  post(endpoint, body) {
+    return this.request('POST', endpoint, { body });
+  }
+
+  put(endpoint, body) {
+    return this.request('PUT', endpoint, { body });
+  }
+
+  async getUser() {
+    const data = await this.get('/user');
+    return data.user;
+  }
+
+  async getTeams() {
+    const data = await this.get('/team');
+    return data.teams || [];
+  }
+
+  async getSpaces(teamId) {
+    const data = await this.get(`/team/${teamId}/space`);
+    return data.spaces || [];
+  }
+
+  // Folders of a space, each with its `lists`
+  async getFolders(spaceId) {
+    const data = await this.get(`/space/${spaceId}/folder`);
+    return data.folders || [];
+  }
+
+  // Lists of a space that are not in a folder
+  async getFolderlessLists(spaceId) {
+    const data = await this.get(`/space/${spaceId}/list`);
+    return data.lists || [];
+  }
+
+  // List details, including the workflow `statuses`
+  getList(listId) {
+    return this.get(`/list/${listId}`);
+  }
+
+  // `query` can ask for more, e.g. { include_subtasks: true, include_markdown_description: true }
+  getTask(taskId, query) {
+    return this.get(`/task/${taskId}`, query);
+  }
+
+  // Comments on a task, newest first
+  async getTaskComments(taskId) {
+    const data = await this.get(`/task/${taskId}/comment`);
+    return data.comments || [];
+  }
+
+  createTaskComment(taskId, text) {
+    return this.post(`/task/${taskId}/comment`, { comment_text: text, notify_all: false });
+  }
+
+  // Tick or untick a checklist item: fields are { resolved }
+  updateChecklistItem(checklistId, itemId, fields) {
+    return this.put(`/checklist/${checklistId}/checklist_item/${itemId}`, fields);
+  }
+
+  // Filtered team task search. Returns the raw page ({ tasks, last_page }).
+  searchTasks(teamId, params = {}) {
+    return this.get(`/team/${teamId}/task`, params);
+  }
+
+  // Follow `page` until ClickUp reports `last_page`, stopping after maxPages.
+  // `truncated` is set when the cap was hit before the last page.
+  async searchAllTasks(teamId, params = {}, { maxPages = defaultSettings.maxTaskPages } = {}) {
+    const tasks = [];
+
+    for (let page = 0; page < maxPages; page++) {
+      const data = await this.searchTasks(teamId, { ...params, page });
+      const pageTasks = data.tasks || [];
+      tasks.push(...pageTasks);
+
+      // Older responses omit last_page; a short page is the last one
+      const lastPage = data.last_page ?? pageTasks.length < TASKS_PAGE_SIZE;
+      if (lastPage || pageTasks.length === 0) {
+        return { tasks, truncated: false };
+      }
+    }
+
+    return { tasks, truncated: true };
+  }
+
+  // Create a task in a list; resolves to the new task
+  createTask(listId, fields) {
+    return this.post(`/list/${listId}/task`, fields);
+  }
+
+  updateTask(taskId, fields) {
+    return this.put(`/task/${taskId}`, fields);
+  }
+
+  // Log a finished time entry against a task
+  createTimeEntry(taskId, { start, end, duration }) {
+    return this.post(`/task/${taskId}/time`, { start, end, duration });
+  }
+
+  // ClickUp's own running timer (one per user and workspace). Starting one
+  // stops any other running in the workspace. Resolves to the entry.
+  async startTimeEntry(teamId, taskId) {
+    const data = await this.post(`/team/${teamId}/time_entries/start`, { tid: taskId });
+    return data.data;
+  }
+
+  async stopTimeEntry(teamId) {
+    const data = await this.post(`/team/${teamId}/time_entries/stop`, {});
+    return data?.data || null;
+  }
+
+  // The user's running entry in the workspace, or null
+  async getRunningTimeEntry(teamId) {
+    const data = await this.get(`/team/${teamId}/time_entries/current`);
+    return data?.data?.id ? data.data : null;
+  }
+
+  // A logged or running entry by id
+  async getTimeEntry(teamId, entryId) {
+    const data = await this.get(`/team/${teamId}/time_entries/${entryId}`);
+    return data.data;
+  }
+
+  // Change a logged entry: fields are { start, end, duration, tid }
+  updateTimeEntry(teamId, entryId, fields) {
+    return this.put(`/team/${teamId}/time_entries/${entryId}`, fields);
+  }
+}
+
+function createErrorForResponse(response, endpoint, data) {
+  const apiMessage = data && data.err ? data.err : response.statusText;
+  const message = `API error: ${response.status}${apiMessage ? ` ${apiMessage}` : ''}`;
+  const details = { status: response.status, endpoint, body: data };
+
+  switch (response.status) {
+    case 401:
+    case 403:
+      return new AuthError(message, details);
+    case 404:
+      return new NotFoundError(message, details);
+    case 429: {
+      const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+      return new RateLimitError(message, {
+        ...details,
+        retryAfter: isNaN(retryAfter) ? null : retryAfter * 1000
+      });
+    }
+    default:
+      return new ClickUpError(message, details);
+  }
+}
@@ -0,0 +1,121 @@
+// Fuzzy task search for the popup's search box. A query matches a text when
+// its characters appear in order (not necessarily next to each other);
+// matches that are contiguous or start at a word score higher. Queries are
+// split into words, and every word must match some field of the task.
+
+// Field weights: a hit in the name beats one in the breadcrumb
+const SEARCH_FIELD_WEIGHTS = {
+  name: 3,
+  customId: 3,
+  tags: 2,
+  list: 1.5,
+  folder: 1,
+  space: 1,
+  parent: 1
+};
+
+// Match `query` against `text`. Returns { score, indices } (indices of the
+// matched characters in `text`) or null when it doesn't match.
+function fuzzyMatch(query, text) {
+  const needle = query.toLowerCase();
+  const haystack = String(text || '').toLowerCase();
+  if (!needle || !haystack) return null;
+
+  // A plain substring is the best kind of match; prefer one at a word start
+  let start = -1;
+  for (let i = haystack.indexOf(needle); i !== -1; i = haystack.indexOf(needle, i + 1)) {
+    if (start === -1) start = i;
+    if (isWordStart(haystack, i)) {
+      start = i;
+      break;
+    }
+  }
+  if (start !== -1) {
+    const indices = Array.from(needle, (_, offset) => start + offset);
+    const score = needle.length * 3 + (isWordStart(haystack, start) ? 4 : 0) + (start === 0 ? 2 : 0);
+    return { score, indices };
+  }
+
+  // Otherwise take characters in order, preferring word starts
+  const indices = [];
+  let position = 0;
+  for (const char of needle) {
+    let found = -1;
+    for (let i = position; i < haystack.length; i++) {
+      if (haystack[i] !== char) continue;
+      if (found === -1) found = i;
+      if (isWordStart(haystack, i) || i === indices[indices.length - 1] + 1) {
+        found = i;
+        break;
+      }
+    }
+    if (found === -1) return null;
+    indices.push(found);
+    position = found + 1;
+  }
+
+  let score = 0;
+  indices.forEach((index, i) => {
+    score += 1;
+    if (i > 0 && index === indices[i - 1] + 1) score += 2;
+    if (isWordStart(haystack, index)) score += 2;
+  });
+  // Spread-out matches are weaker
+  score -= (indices[indices.length - 1] - indices[0] + 1 - indices.length) * 0.1;
+
+  return { score, indices };
+}
+
+function isWordStart(text, index) {
+  return index === 0 || /[\s\-_/.,:;()[\]#]/.test(text[index - 1]);
+}
+
+// Rank `tasks` by how well they match `query`. `getFields(task)` returns
+// { field: text or [texts] } for the fields in SEARCH_FIELD_WEIGHTS.
+// Returns [{ task, score, matches }] best first, where `matches` is
+// { field: indices } (for tags: { field: { tagName: indices } }).
+function searchTasks(tasks, query, getFields) {
+  const words = String(query || '').trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return tasks.map(task => ({ task, score: 0, matches: {} }));
+
+  const results = [];
+
+  tasks.forEach(task => {
+    const fields = getFields(task);
+    const matches = {};
+    let total = 0;
+
+    for (const word of words) {
+      let best = null;
+
+      Object.keys(fields).forEach(field => {
+        const weight = SEARCH_FIELD_WEIGHTS[field] || 1;
+        const texts = Array.isArray(fields[field]) ? fields[field] : [fields[field]];
+
+        texts.forEach(text => {
+          const match = fuzzyMatch(word, text);
+          if (match && (!best || match.score * weight > best.score)) {
+            best = { score: match.score * weight, field, text, indices: match.indices };
+          }
+        });
+      });
+
+      if (!best) return; // Every word must match somewhere
+      total += best.score;
+      addMatchIndices(matches, best, Array.isArray(fields[best.field]));
+    }
+
+    results.push({ task, score: total, matches });
+  });
+
+  return results.sort((a, b) => b.score - a.score);
+}
+
+function addMatchIndices(matches, { field, text, indices }, isList) {
+  if (isList) {
+    matches[field] = matches[field] || {};
+    matches[field][text] = [...(matches[field][text] || []), ...indices];
+  } else {
+    matches[field] = [...(matches[field] || []), ...indices];
+  }
+}
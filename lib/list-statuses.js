@@ -0,0 +1,52 @@
+// List status definitions, cached in chrome.storage.local. Lists with custom
+// workflows call their done status "Complete", "Shipped" or "Done", so
+// completing a task has to use the list's own closed status, not 'closed'.
+
+const LIST_STATUSES_KEY = 'listStatuses';
+
+// Workflows rarely change; re-fetch a list's statuses after a day
+const LIST_STATUSES_MAX_AGE = 24 * 60 * 60 * 1000;
+
+// Resolves to [{ status, type, color, orderindex }] in workflow order.
+// Falls back to a stale cache entry when ClickUp can't be reached.
+async function getListStatuses(client, listId, { refresh = false } = {}) {
+  const result = await chrome.storage.local.get([LIST_STATUSES_KEY]);
+  const cached = (result[LIST_STATUSES_KEY] || {})[listId];
+
+  if (cached && !refresh && Date.now() - cached.fetchedAt < LIST_STATUSES_MAX_AGE) {
+    return cached.statuses;
+  }
+
+  try {
+    const list = await client.getList(listId);
+    const statuses = (list.statuses || [])
+      .map(({ status, type, color, orderindex }) => ({ status, type, color, orderindex }))
+      .sort((a, b) => a.orderindex - b.orderindex);
+
+    // Re-read so concurrent lookups for other lists are not overwritten
+    const latest = await chrome.storage.local.get([LIST_STATUSES_KEY]);
+    const cache = latest[LIST_STATUSES_KEY] || {};
+    cache[listId] = { statuses, fetchedAt: Date.now() };
+    await chrome.storage.local.set({ [LIST_STATUSES_KEY]: cache });
+
+    return statuses;
+  } catch (err) {
+    if (cached) {
+      return cached.statuses;
+    }
+    throw err;
+  }
+}
+
+// The status a task moves to when completed: the per-list override from
+// options if it still exists, else the list's closed-type status
+function getDoneStatus(statuses, override = null) {
+  if (override) {
+    const match = statuses.find(s => s.status.toLowerCase() === override.toLowerCase());
+    if (match) return match;
+  }
+
+  return statuses.find(s => s.type === 'closed') ||
+    statuses.find(s => s.type === 'done') ||
+    null;
+}
@@ -0,0 +1,139 @@
+// Small Markdown renderer for task descriptions in the detail drawer.
+// Handles what ClickUp's markdown_description produces: headings, lists
+// (including "- [ ]" task items), quotes, fenced code, rules, and inline
+// bold, italic, strikethrough, code and links. Everything is escaped first,
+// so the output is safe to put in innerHTML; links only keep http(s) and
+// mailto URLs.
+
+function renderMarkdown(text) {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const html = [];
+  let paragraph = [];
+  let list = null; // { tag, items }
+  let quote = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      html.push(`<p>${paragraph.map(renderMarkdownInline).join('<br>')}</p>`);
+      paragraph = [];
+    }
+  };
+  const flushList = () => {
+    if (list) {
+      html.push(`<${list.tag}>${list.items.join('')}</${list.tag}>`);
+      list = null;
+    }
+  };
+  const flushQuote = () => {
+    if (quote.length > 0) {
+      html.push(`<blockquote>${renderMarkdown(quote.join('\n'))}</blockquote>`);
+      quote = [];
+    }
+  };
+  const flush = () => {
+    flushParagraph();
+    flushList();
+    flushQuote();
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
+
+    if (/^\s*```/.test(line)) {
+      flush();
+      const code = [];
+      for (i++; i < lines.length && !/^\s*```/.test(lines[i]); i++) {
+        code.push(lines[i]);
+      }
+      html.push(`<pre><code>${escapeMarkdownHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    if ((match = line.match(/^\s*>\s?(.*)$/))) {
+      flushParagraph();
+      flushList();
+      quote.push(match[1]);
+      continue;
+    }
+    flushQuote();
+
+    if (!line.trim()) {
+      flush();
+    } else if ((match = line.match(/^(#{1,6})\s+(.*?)\s*#*$/))) {
+      flush();
+      // Descriptions are rendered inside a page, so headings start at <h4>
+      const level = Math.min(match[1].length + 3, 6);
+      html.push(`<h${level}>${renderMarkdownInline(match[2])}</h${level}>`);
+    } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flush();
+      html.push('<hr>');
+    } else if ((match = line.match(/^\s*(?:([-*+])|(\d+)[.)])\s+(.*)$/))) {
+      flushParagraph();
+      const tag = match[1] ? 'ul' : 'ol';
+      if (list && list.tag !== tag) flushList();
+      if (!list) list = { tag, items: [] };
+      list.items.push(renderMarkdownListItem(match[3]));
+    } else if (list && /^\s{2,}\S/.test(line)) {
+      // Continuation of the previous list item
+      const items = list.items;
+      items[items.length - 1] = items[items.length - 1].replace(/<\/li>$/, ` ${renderMarkdownInline(line.trim())}</li>`);
+    } else {
+      flushList();
+      paragraph.push(line.trim());
+    }
+  }
+  flush();
+
+  return html.join('');
+}
+
+function renderMarkdownListItem(text) {
+  const task = text.match(/^\[([ xX])\]\s+(.*)$/);
+  if (task) {
+    const done = task[1] !== ' ';
+    return `<li class="md-task${done ? ' md-task-done' : ''}"><span class="md-task-box">${done ? '☑' : '☐'}</span> ${renderMarkdownInline(task[2])}</li>`;
+  }
+  return `<li>${renderMarkdownInline(text)}</li>`;
+}
+
+// Inline formatting. Code spans and link tags are set aside as placeholders
+// so nothing inside them (a code sample, an "_" in a URL) is treated as
+// markup; link labels stay in place and can still be emphasised.
+function renderMarkdownInline(text) {
+  const stashed = [];
+  const stash = (html) => {
+    stashed.push(html);
+    return `\u0000${stashed.length - 1}\u0000`;
+  };
+
+  let html = escapeMarkdownHtml(text)
+    .replace(/`([^`]+)`/g, (_, code) => stash(`<code>${code}</code>`))
+    .replace(/\[([^\]]+)\]\(([^)\s\u0000]+)\)/g, (whole, label, url) => {
+      const href = getSafeMarkdownUrl(url);
+      return href
+        ? `${stash(`<a href="${href}" target="_blank" rel="noopener noreferrer">`)}${label}${stash('</a>')}`
+        : label;
+    });
+
+  html = html
+    .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (_, a, b) => `<strong>${a || b}</strong>`)
+    .replace(/(^|[^*\w])\*(?!\s)(.+?)\*(?!\w)|(^|[^_\w])_(?!\s)(.+?)_(?!\w)/g,
+      (_, before1, a, before2, b) => `${before1 ?? before2}<em>${a || b}</em>`)
+    .replace(/~~(.+?)~~/g, '<del>$1</del>');
+
+  return html.replace(/\u0000(\d+)\u0000/g, (_, index) => stashed[index]);
+}
+
+// The URL (already HTML-escaped) if it is safe to link to, else null
+function getSafeMarkdownUrl(url) {
+  return /^(https?:|mailto:)/i.test(url) ? url : null;
+}
+
+function escapeMarkdownHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
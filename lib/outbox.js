@@ -0,0 +1,222 @@
+// Persistent outbox for task mutations (complete, status change, snooze,
+// priority and estimate changes, undo, time entries). Views try each action
+// right away; when ClickUp can't be reached the action is stored in
+// chrome.storage.local and the background worker replays it once
+// connectivity returns. Entries that cannot be applied are kept as 'failed'
+// so the popup can offer to retry or discard them.
+
+const OUTBOX_KEY = 'outbox';
+
+async function loadOutbox() {
+  const result = await chrome.storage.local.get([OUTBOX_KEY]);
+  return result[OUTBOX_KEY] || [];
+}
+
+// Web Lock held while the outbox is read and written back
+const OUTBOX_LOCK = 'outbox';
+
+// Writes outside the browser (tests), serialized within the context
+let outboxWriteQueue = Promise.resolve();
+
+// Read-modify-write the outbox; `update` receives and returns the entry list.
+// The popup and the background worker both write it, so every write holds a
+// lock shared by all of the extension's contexts; otherwise one could write
+// back a stale list over an entry the other just queued.
+function updateOutbox(update) {
+  const write = async () => {
+    const entries = update(await loadOutbox());
+    await chrome.storage.local.set({ [OUTBOX_KEY]: entries });
+    return entries;
+  };
+
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    return navigator.locks.request(OUTBOX_LOCK, write);
+  }
+
+  const result = outboxWriteQueue.then(write);
+  outboxWriteQueue = result.catch(() => {});
+  return result;
+}
+
+// `type` is 'complete', 'status', 'snooze', 'priority', 'estimate', 'undo' or
+// 'timeEntry'.
+// `payload` holds the task fields to PUT (or the time entry to POST).
+// `baseline` records the task as we last saw it, to detect changes made in
+// ClickUp in the meantime.
+function createOutboxEntry(type, taskId, payload, baseline = null) {
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    taskId,
+    payload,
+    baseline,
+    createdAt: Date.now(),
+    attempts: 0,
+    state: 'pending',
+    error: null,
+    force: false
+  };
+}
+
+function enqueueOutboxEntry(entry) {
+  return updateOutbox(entries => [...entries, entry]);
+}
+
+function executeOutboxEntry(client, entry) {
+  if (entry.type === 'timeEntry') {
+    return client.createTimeEntry(entry.taskId, entry.payload);
+  }
+  return client.updateTask(entry.taskId, entry.payload);
+}
+
+// Run an action now, or queue it when offline. Resolves to { queued };
+// any error other than a network failure is rethrown to the caller.
+async function runTaskAction(client, entry) {
+  try {
+    await executeOutboxEntry(client, entry);
+    return { queued: false };
+  } catch (err) {
+    if (!(err instanceof NetworkError)) {
+      throw err;
+    }
+    await enqueueOutboxEntry(entry);
+    return { queued: true };
+  }
+}
+
+// Compare a queued update against the task's current state in ClickUp.
+// Resolves to null (apply it), { applied: true } (nothing left to do) or
+// { conflict: reason } (the server changed the same field; server wins).
+async function checkOutboxConflict(client, entry) {
+  if (entry.type === 'timeEntry') {
+    return null; // Time entries only ever add to the task
+  }
+
+  const task = await client.getTask(entry.taskId);
+
+  if (entry.type === 'complete' && isTaskCompleted(task)) {
+    return { applied: true };
+  }
+
+  const baseline = entry.baseline || {};
+  const changedOnServer = baseline.date_updated &&
+    parseInt(task.date_updated, 10) > parseInt(baseline.date_updated, 10);
+
+  if (changedOnServer && entry.type === 'snooze' && task.due_date !== baseline.due_date) {
+    return { conflict: 'Due date was changed in ClickUp' };
+  }
+
+  if (changedOnServer && entry.type === 'status' && task.status?.status !== baseline.status) {
+    return { conflict: 'Status was changed in ClickUp' };
+  }
+
+  if (changedOnServer && entry.type === 'priority' && (task.priority?.priority ?? null) !== baseline.priority) {
+    return { conflict: 'Priority was changed in ClickUp' };
+  }
+
+  if (changedOnServer && entry.type === 'estimate' && (task.time_estimate ?? null) !== baseline.time_estimate) {
+    return { conflict: 'Estimate was changed in ClickUp' };
+  }
+
+  return null;
+}
+
+// Replay pending entries in order. Stops at the first network or rate-limit
+// error (still offline, try later). Later entries for a task whose earlier
+// entry failed are held back so changes are never applied out of order.
+// Resolves to the number of entries that were synced.
+async function processOutbox(client) {
+  const entries = await loadOutbox();
+  const blockedTasks = new Set();
+  let synced = 0;
+
+  for (const entry of entries) {
+    if (entry.state === 'failed') {
+      blockedTasks.add(entry.taskId);
+    }
+    if (entry.state !== 'pending' || blockedTasks.has(entry.taskId)) {
+      continue;
+    }
+
+    try {
+      const check = entry.force ? null : await checkOutboxConflict(client, entry);
+
+      if (check?.conflict) {
+        await markOutboxEntryFailed(entry.id, check.conflict);
+        blockedTasks.add(entry.taskId);
+        continue;
+      }
+
+      if (!check?.applied) {
+        await executeOutboxEntry(client, entry);
+      }
+
+      await updateOutbox(current => current.filter(e => e.id !== entry.id));
+      synced++;
+    } catch (err) {
+      if (err instanceof NetworkError || err instanceof RateLimitError) {
+        break;
+      }
+
+      const reason = err instanceof NotFoundError ? 'Task no longer exists in ClickUp' : err.message;
+      await markOutboxEntryFailed(entry.id, reason);
+      blockedTasks.add(entry.taskId);
+    }
+  }
+
+  return synced;
+}
+
+// Pending entries that processOutbox() would try now, i.e. those not held
+// back behind a failed entry for the same task
+function getReplayableOutboxEntries(entries) {
+  const blockedTasks = new Set();
+  return entries.filter(entry => {
+    if (entry.state === 'failed') {
+      blockedTasks.add(entry.taskId);
+    }
+    return entry.state === 'pending' && !blockedTasks.has(entry.taskId);
+  });
+}
+
+const OUTBOX_REPLAY_ALARM = 'replayOutbox';
+
+// Retry every minute while something can be replayed. Held-back entries wait
+// for the user to retry or discard the failed one, which writes the outbox
+// and triggers a replay by itself.
+function scheduleOutboxReplay(entries) {
+  if (getReplayableOutboxEntries(entries).length > 0) {
+    chrome.alarms.create(OUTBOX_REPLAY_ALARM, { periodInMinutes: 1 });
+  } else {
+    chrome.alarms.clear(OUTBOX_REPLAY_ALARM);
+  }
+}
+
+function markOutboxEntryFailed(entryId, error) {
+  return updateOutbox(entries => entries.map(entry => (
+    entry.id === entryId
+      ? { ...entry, state: 'failed', error, attempts: entry.attempts + 1 }
+      : entry
+  )));
+}
+
+// Queue failed entries for a task again, skipping the conflict check
+function retryOutboxEntries(taskId) {
+  return updateOutbox(entries => entries.map(entry => (
+    entry.taskId === taskId && entry.state === 'failed'
+      ? { ...entry, state: 'pending', error: null, force: true }
+      : entry
+  )));
+}
+
+function discardOutboxEntries(taskId) {
+  return updateOutbox(entries => entries.filter(entry => entry.taskId !== taskId || entry.state !== 'failed'));
+}
+
+// Summarize the outbox state for one task: 'failed', 'pending' or null
+function getTaskSyncState(entries, taskId) {
+  const taskEntries = entries.filter(entry => entry.taskId === taskId);
+  if (taskEntries.some(entry => entry.state === 'failed')) return 'failed';
+  if (taskEntries.length > 0) return 'pending';
+  return null;
+}
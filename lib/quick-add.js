@@ -0,0 +1,221 @@
+// Quick-add parser. Turns a line like
+//
+//   Send invoice to Acme tomorrow 3pm !high #billing
+//
+// into { name, dueDate, hasTime, priority, tags }. Understood anywhere in
+// the line (the rest becomes the task name):
+//
+//   #tag                       tag (lowercased, like ClickUp's)
+//   !urgent !high !normal !low priority, or !1 to !4
+//   today, tomorrow (tmr)      a day; "on", "by" or "due" may come first
+//   monday, next fri           the next such weekday (never today); short
+//                              names only after "on" or "next", so "Fix
+//                              sun icon" stays a name
+//   next week, in 3 days       days from today ("in 2 weeks" too)
+//   dec 5, 5 december, 2026-12-05
+//                              a date (this year, or next once it has passed)
+//   3pm, 3:30 pm, 15:00, noon  a time; "at" may come first
+//
+// A time without a day means today, or tomorrow once it has passed. Days
+// are calendar days in `timeZone` (see lib/time-zone.js). Pure apart from
+// the formatter cache there.
+
+const QUICK_ADD_PRIORITIES = { urgent: 1, high: 2, normal: 3, low: 4 };
+
+const QUICK_ADD_WEEKDAYS = [
+  ['sunday', 'sun'],
+  ['monday', 'mon'],
+  ['tuesday', 'tue', 'tues'],
+  ['wednesday', 'wed'],
+  ['thursday', 'thu', 'thur', 'thurs'],
+  ['friday', 'fri'],
+  ['saturday', 'sat']
+];
+
+const QUICK_ADD_MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+// All-day tasks get this time of day, like snoozed ones (lib/snooze.js)
+const QUICK_ADD_ALL_DAY_TIME = { hours: 9, minutes: 0 };
+
+// Returns { name, dueDate (ms or null), hasTime, priority (1-4 or null), tags }
+function parseQuickAdd(text, { now = Date.now(), timeZone = getLocalTimeZone() } = {}) {
+  const words = String(text || '').trim().split(/\s+/).filter(Boolean);
+  const today = getDayKey(now, timeZone);
+  const nameWords = [];
+  const tags = [];
+  let priority = null;
+  let day = null;
+  let time = null;
+
+  for (let i = 0; i < words.length;) {
+    const word = words[i];
+    const lower = word.toLowerCase();
+
+    if (/^#[^#\s]+$/.test(word)) {
+      const tag = lower.slice(1);
+      if (!tags.includes(tag)) tags.push(tag);
+      i++;
+      continue;
+    }
+
+    const priorityMatch = lower.match(/^!(urgent|high|normal|low|[1-4])$/);
+    if (priorityMatch && priority === null) {
+      priority = QUICK_ADD_PRIORITIES[priorityMatch[1]] || parseInt(priorityMatch[1], 10);
+      i++;
+      continue;
+    }
+
+    // "on friday", "at 3pm": the linking word goes with the phrase
+    const linked = ['on', 'by', 'due', 'at'].includes(lower) ? 1 : 0;
+
+    const dayMatch = day === null && lower !== 'at' && matchQuickAddDay(words, i + linked, today);
+    if (dayMatch) {
+      day = dayMatch.day;
+      i += linked + dayMatch.length;
+      continue;
+    }
+
+    const timeMatch = time === null && lower !== 'on' && matchQuickAddTime(words, i + linked);
+    if (timeMatch) {
+      time = timeMatch.time;
+      i += linked + timeMatch.length;
+      continue;
+    }
+
+    nameWords.push(word);
+    i++;
+  }
+
+  let dueDate = null;
+  if (day || time) {
+    let dueDay = day || today;
+    const { hours, minutes } = time || QUICK_ADD_ALL_DAY_TIME;
+    dueDate = zonedTimeToTimestamp({ ...parseDayKey(dueDay), hours, minutes }, timeZone);
+
+    // "3pm" after 3pm means tomorrow
+    if (!day && dueDate <= now) {
+      dueDay = shiftDayKey(today, 1);
+      dueDate = zonedTimeToTimestamp({ ...parseDayKey(dueDay), hours, minutes }, timeZone);
+    }
+  }
+
+  return {
+    name: nameWords.join(' '),
+    dueDate,
+    hasTime: Boolean(time),
+    priority,
+    tags
+  };
+}
+
+// Day phrase starting at words[i]: { day: 'YYYY-MM-DD', length } or null
+function matchQuickAddDay(words, i, today) {
+  const word = (words[i] || '').toLowerCase();
+  const next = (words[i + 1] || '').toLowerCase();
+  const third = (words[i + 2] || '').toLowerCase();
+  if (!word) return null;
+
+  if (word === 'today') return { day: today, length: 1 };
+  if (['tomorrow', 'tmr', 'tmrw'].includes(word)) return { day: shiftDayKey(today, 1), length: 1 };
+
+  if (word === 'next' && next === 'week') return { day: shiftDayKey(today, 7), length: 2 };
+
+  // "monday" and "next monday" both mean the coming one
+  const weekdayAt = word === 'next' ? i + 1 : i;
+  const shortName = word === 'next' || (words[i - 1] || '').toLowerCase() === 'on';
+  const weekday = getQuickAddWeekday(words[weekdayAt], shortName);
+  if (weekday !== -1) {
+    const daysAhead = ((weekday - getDayKeyWeekday(today) + 7) % 7) || 7;
+    return { day: shiftDayKey(today, daysAhead), length: weekdayAt - i + 1 };
+  }
+
+  if (word === 'in' && /^\d+$/.test(next)) {
+    const amount = parseInt(next, 10);
+    const unit = third.match(/^(days?|d|weeks?|wks?|w)$/);
+    if (unit && amount > 0) {
+      return { day: shiftDayKey(today, unit[1].startsWith('w') ? amount * 7 : amount), length: 3 };
+    }
+  }
+
+  if (parseDayKey(word)) return { day: word, length: 1 };
+
+  // "dec 5" or "5 dec"
+  const monthFirst = getQuickAddMonth(word);
+  const dayAfter = parseQuickAddDayOfMonth(next);
+  if (monthFirst !== -1 && dayAfter) return resolveQuickAddDate(monthFirst, dayAfter, today, 2);
+
+  const dayFirst = parseQuickAddDayOfMonth(word);
+  const monthAfter = getQuickAddMonth(next);
+  if (dayFirst && monthAfter !== -1) return resolveQuickAddDate(monthAfter, dayFirst, today, 2);
+
+  return null;
+}
+
+// Time phrase starting at words[i]: { time: { hours, minutes }, length } or null
+function matchQuickAddTime(words, i) {
+  const word = (words[i] || '').toLowerCase();
+  const next = (words[i + 1] || '').toLowerCase();
+  if (!word) return null;
+
+  if (word === 'noon') return { time: { hours: 12, minutes: 0 }, length: 1 };
+
+  // "3pm", "3:30pm", or "3 pm" split over two words
+  let match = word.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)$/);
+  let length = 1;
+  if (!match && /^(am|pm)$/.test(next)) {
+    match = `${word}${next}`.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)$/);
+    length = 2;
+  }
+  if (match) {
+    const hours = parseInt(match[1], 10);
+    const minutes = match[2] ? parseInt(match[2], 10) : 0;
+    if (hours < 1 || hours > 12 || minutes > 59) return null;
+    return { time: { hours: (hours % 12) + (match[3] === 'pm' ? 12 : 0), minutes }, length };
+  }
+
+  // 24-hour "15:00"
+  match = word.match(/^(\d{1,2}):(\d{2})$/);
+  if (match) {
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 23 || minutes > 59) return null;
+    return { time: { hours, minutes }, length: 1 };
+  }
+
+  return null;
+}
+
+// Weekday index (0 = Sunday) of "friday", or of "fri" when `shortName`
+// allows it, else -1
+function getQuickAddWeekday(word, shortName = false) {
+  const lower = (word || '').toLowerCase();
+  return QUICK_ADD_WEEKDAYS.findIndex(([full, ...short]) => lower === full || (shortName && short.includes(lower)));
+}
+
+// Month index (0-11) of "dec", "sept" or "december", else -1
+function getQuickAddMonth(word) {
+  const lower = (word || '').toLowerCase().replace(/\.$/, '');
+  if (lower.length < 3) return -1;
+  return QUICK_ADD_MONTHS.findIndex(month => month.startsWith(lower));
+}
+
+// "5", "5th" -> 5; null when not a day of the month
+function parseQuickAddDayOfMonth(word) {
+  const match = (word || '').match(/^(\d{1,2})(st|nd|rd|th)?$/);
+  if (!match) return null;
+  const day = parseInt(match[1], 10);
+  return day >= 1 && day <= 31 ? day : null;
+}
+
+// This year's date, or next year's once it has passed
+function resolveQuickAddDate(month, day, today, length) {
+  const year = parseDayKey(today).year;
+  const toKey = y => `${y}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+  let key = toKey(year);
+  if (parseDayKey(key) && key < today) key = toKey(year + 1);
+  return parseDayKey(key) ? { day: key, length } : null;
+}
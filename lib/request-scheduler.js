@@ -0,0 +1,180 @@
+// Rate-limit aware request queue shared by every ClickUpClient in a context.
+// ClickUp limits requests per token, and the popup and the background worker
+// spend the same budget, so the last seen rate-limit headers are mirrored to
+// chrome.storage.local where every context can read them.
+
+const RATE_LIMIT_STORAGE_KEY = 'rateLimit';
+
+// Background work is skipped once less than this share of the budget is left
+const LOW_BUDGET_RATIO = 0.2;
+
+const RETRYABLE_SERVER_STATUSES = [500, 502, 503, 504];
+
+class RequestScheduler {
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent ?? 4;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.baseDelay = options.baseDelay ?? 1000;
+    this.maxDelay = options.maxDelay ?? 30000;
+
+    this.active = 0;
+    this.queue = [];
+    this.pausedUntil = 0;
+    this.wakeTimer = null;
+    this.budget = null; // { limit, remaining, reset } - reset is epoch ms
+
+    if (typeof chrome !== 'undefined' && chrome.storage) {
+      chrome.storage.local.get([RATE_LIMIT_STORAGE_KEY]).then(result => {
+        if (result[RATE_LIMIT_STORAGE_KEY] && !this.budget) {
+          this.budget = result[RATE_LIMIT_STORAGE_KEY];
+        }
+      }).catch(() => {});
+
+      // Pick up budget changes made by other contexts
+      chrome.storage.onChanged.addListener((changes, area) => {
+        if (area === 'local' && changes[RATE_LIMIT_STORAGE_KEY]?.newValue) {
+          this.budget = changes[RATE_LIMIT_STORAGE_KEY].newValue;
+          this.drain();
+        }
+      });
+    }
+  }
+
+  // Queue a request. `send` performs the fetch and returns the Response.
+  // Foreground requests (popup actions) always run before background ones.
+  schedule(send, { priority = 'foreground', retryServerErrors = true } = {}) {
+    return new Promise((resolve, reject) => {
+      const job = { send, priority, retryServerErrors, attempt: 0, resolve, reject };
+
+      if (priority === 'foreground') {
+        const firstBackground = this.queue.findIndex(j => j.priority !== 'foreground');
+        this.queue.splice(firstBackground === -1 ? this.queue.length : firstBackground, 0, job);
+      } else {
+        this.queue.push(job);
+      }
+
+      this.drain();
+    });
+  }
+
+  drain() {
+    while (this.active < this.maxConcurrent && this.queue.length > 0) {
+      const waitMs = this.getWaitTime();
+      if (waitMs > 0) {
+        this.wakeAfter(waitMs);
+        return;
+      }
+
+      const job = this.queue.shift();
+      this.run(job);
+    }
+  }
+
+  // How long to hold new requests: after a 429, or while the budget is spent
+  getWaitTime() {
+    const now = Date.now();
+    let waitMs = Math.max(0, this.pausedUntil - now);
+
+    if (this.budget && this.budget.remaining <= 0 && this.budget.reset > now) {
+      waitMs = Math.max(waitMs, this.budget.reset - now);
+    }
+
+    return waitMs;
+  }
+
+  wakeAfter(ms) {
+    if (this.wakeTimer) return;
+    this.wakeTimer = setTimeout(() => {
+      this.wakeTimer = null;
+      this.drain();
+    }, ms);
+  }
+
+  async run(job) {
+    this.active++;
+
+    try {
+      const response = await job.send();
+      this.updateBudget(response.headers);
+
+      const retryable = response.status === 429 ||
+        (job.retryServerErrors && RETRYABLE_SERVER_STATUSES.includes(response.status));
+
+      if (retryable && job.attempt < this.maxRetries) {
+        const delay = this.getRetryDelay(response, job.attempt);
+        job.attempt++;
+
+        if (response.status === 429) {
+          // The limit is per token, so hold every queued request
+          this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+          this.queue.unshift(job);
+        } else {
+          setTimeout(() => {
+            this.queue.unshift(job);
+            this.drain();
+          }, delay);
+        }
+      } else {
+        job.resolve(response);
+      }
+    } catch (err) {
+      job.reject(err);
+    } finally {
+      this.active--;
+      this.drain();
+    }
+  }
+
+  // Honour Retry-After / X-RateLimit-Reset, otherwise exponential backoff with jitter
+  getRetryDelay(response, attempt) {
+    const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+    if (!isNaN(retryAfter)) {
+      return Math.min(retryAfter * 1000, this.maxDelay);
+    }
+
+    if (response.status === 429 && this.budget && this.budget.reset > Date.now()) {
+      return Math.min(this.budget.reset - Date.now(), this.maxDelay);
+    }
+
+    const backoff = this.baseDelay * Math.pow(2, attempt);
+    const jitter = Math.random() * this.baseDelay;
+    return Math.min(backoff + jitter, this.maxDelay);
+  }
+
+  updateBudget(headers) {
+    const limit = parseInt(headers.get('X-RateLimit-Limit'), 10);
+    const remaining = parseInt(headers.get('X-RateLimit-Remaining'), 10);
+    const reset = parseInt(headers.get('X-RateLimit-Reset'), 10);
+
+    if (isNaN(limit) || isNaN(remaining)) return;
+
+    this.budget = {
+      limit,
+      remaining,
+      reset: isNaN(reset) ? Date.now() + 60000 : reset * 1000
+    };
+
+    if (typeof chrome !== 'undefined' && chrome.storage) {
+      chrome.storage.local.set({ [RATE_LIMIT_STORAGE_KEY]: this.budget }).catch(() => {});
+    }
+  }
+}
+
+// Whether background polling should back off to leave budget for the popup
+async function isRateLimitBudgetLow() {
+  try {
+    const result = await chrome.storage.local.get([RATE_LIMIT_STORAGE_KEY]);
+    const budget = result[RATE_LIMIT_STORAGE_KEY];
+
+    if (!budget || budget.reset <= Date.now()) {
+      return false;
+    }
+
+    return budget.remaining < budget.limit * LOW_BUDGET_RATIO;
+  } catch (err) {
+    return false;
+  }
+}
+
+// One queue per extension context (popup, options page, service worker)
+const requestScheduler = new RequestScheduler();
@@ -0,0 +1,92 @@
+// Saved views: named combinations of the popup's filter bar (date window,
+// workspace, filters, sort, grouping, toggles and team selection). They live
+// in chrome.storage.sync under their own key, so they follow the user to
+// other browsers without eating into the settings item's quota.
+
+const SAVED_VIEWS_KEY = 'savedViews';
+
+// Keeps the stored list well within chrome.storage.sync's per-item limit
+const MAX_SAVED_VIEWS = 20;
+
+// Everything a view captures. `filters` narrows the tasks the query selects;
+// see lib/task-filters.js.
+const defaultViewState = {
+  window: 'today',
+  customStart: '',
+  customEnd: '',
+  workspace: 'all',
+  filters: emptyTaskFilters,
+  sort: 'priority',
+  grouping: false,
+  includeOverdue: false,
+  includeInProgress: false,
+  includeCompleted: false,
+  members: { mode: 'me', userIds: [] }
+};
+
+// Fill in fields missing from views saved by older versions
+function normalizeViewState(state) {
+  const normalized = { ...defaultViewState, ...(state || {}) };
+  normalized.filters = { ...defaultViewState.filters, ...(state?.filters || {}) };
+  normalized.members = { ...defaultViewState.members, ...(state?.members || {}) };
+  return normalized;
+}
+
+// Whether two states show the same tasks the same way (list order is ignored)
+function isSameViewState(a, b) {
+  return JSON.stringify(canonicalViewState(a)) === JSON.stringify(canonicalViewState(b));
+}
+
+function canonicalViewState(state) {
+  const normalized = normalizeViewState(state);
+  const filters = {};
+  Object.keys(normalized.filters).sort().forEach(key => {
+    filters[key] = [...normalized.filters[key]].map(String).sort();
+  });
+
+  const canonical = {};
+  Object.keys(normalized).sort().forEach(key => {
+    canonical[key] = normalized[key];
+  });
+  canonical.filters = filters;
+  canonical.members = {
+    mode: normalized.members.mode,
+    userIds: [...normalized.members.userIds].map(String).sort()
+  };
+  return canonical;
+}
+
+// The state the popup opens with: the default view, else one built from
+// settings (grouping, overdue and in-progress toggles, team selection)
+function getInitialViewState(settings, savedViews) {
+  const defaultView = savedViews.views.find(view => view.id === savedViews.defaultViewId);
+  if (defaultView) return normalizeViewState(defaultView.state);
+
+  return normalizeViewState({
+    grouping: settings.features.grouping,
+    includeOverdue: settings.features.overdue,
+    includeInProgress: settings.features.inProgress,
+    members: settings.teamView
+  });
+}
+
+// Resolves to { views: [{ id, name, state }], defaultViewId }
+async function loadSavedViews() {
+  const result = await chrome.storage.sync.get([SAVED_VIEWS_KEY]);
+  const stored = result[SAVED_VIEWS_KEY] || {};
+  const views = (stored.views || []).map(view => ({ ...view, state: normalizeViewState(view.state) }));
+  const defaultViewId = views.some(view => view.id === stored.defaultViewId) ? stored.defaultViewId : null;
+  return { views, defaultViewId };
+}
+
+function saveSavedViews(savedViews) {
+  return chrome.storage.sync.set({ [SAVED_VIEWS_KEY]: savedViews });
+}
+
+function createSavedView(name, state) {
+  return {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    state: normalizeViewState(state)
+  };
+}
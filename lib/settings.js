@@ -0,0 +1,50 @@
+// Default settings shared by the popup, options page and background worker.
+// Settings saved by older versions lack newer keys, so always read them
+// through loadSettings() rather than using the stored object directly.
+
+const defaultSettings = {
+  features: {
+    overdue: false,
+    inProgress: false,
+    dueTime: true,
+    timeTracked: true,
+    completedCount: true,
+    grouping: false,
+    teamView: false,
+    badge: true,
+    timeTracking: true,
+    timerSync: false,
+    singleTimer: false,
+    snooze: true,
+    workSchedule: true,
+    filters: true,
+    quickAdd: true,
+    notifications: false,
+    idleDetection: true
+  },
+  notificationMinutes: 15,
+  idleThresholdMinutes: 1,
+  timerSwitch: 'stop', // With singleTimer, starting another timer: 'stop' the running one, or 'ask' first
+  maxTaskPages: 10,
+  badgeWindow: 'today', // 'today', 'tomorrow' or 'week'; see lib/task-snapshot.js
+  statusOverrides: {}, // listId -> status name used when completing tasks
+  snoozePresets: null, // [{ label, rule }]; null means defaultSnoozePresets (lib/snooze.js)
+  workDays: [1, 2, 3, 4, 5], // Date.getDay() numbers
+  workStart: '09:00',
+  workEnd: '17:00',
+  teamView: { mode: 'me', userIds: [] }, // Popup member picker; see matchesMembers() in lib/task-snapshot.js
+  quickAddList: null, // { id, name } of the list quick-added tasks go to
+  teamAlerts: false // Badge and notifications follow teamView instead of only the user's own tasks
+};
+
+// Merge stored settings over the defaults (one level deep for `features`)
+function mergeSettings(stored) {
+  const settings = { ...defaultSettings, ...(stored || {}) };
+  settings.features = { ...defaultSettings.features, ...(stored?.features || {}) };
+  return settings;
+}
+
+async function loadSettings() {
+  const { settings } = await chrome.storage.sync.get(['settings']);
+  return mergeSettings(settings);
+}
@@ -0,0 +1,124 @@
+// Snooze presets. Each preset is a { label, rule } pair; rules are short
+// strings so they can be edited in the options page:
+//
+//   +3h, +30m              exact time from now
+//   +2d, +1w               working days/calendar weeks from today, keeping the time of day
+//   today 15:00            today (or tomorrow) at a time
+//   tomorrow [09:00]       tomorrow, optionally at a time
+//   next monday [09:00]    the next given weekday
+//   next business day      the next working day
+//
+// Without an explicit time, the task keeps its original time of day (or stays
+// an all-day task when it had none). With a work schedule (lib/work-schedule.js)
+// day counts skip non-working days and times are kept within working hours.
+// Days and times of day are in the ClickUp user's time zone (lib/time-zone.js).
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const defaultSnoozePresets = [
+  { label: 'In 3 hours', rule: '+3h' },
+  { label: 'This afternoon', rule: 'today 15:00' },
+  { label: 'Tomorrow', rule: 'tomorrow' },
+  { label: 'Next business day', rule: 'next business day' },
+  { label: 'In 2 days', rule: '+2d' },
+  { label: 'Next Monday', rule: 'next monday' },
+  { label: 'Next week', rule: '+1w' }
+];
+
+// Parse a rule into { kind, amount, weekday, time } or null when invalid
+function parseSnoozeRule(rule) {
+  const text = String(rule || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  let match;
+
+  if ((match = text.match(/^\+(\d+)\s?(m|h|d|w)$/))) {
+    const amount = parseInt(match[1], 10);
+    if (amount <= 0) return null;
+    return { kind: match[2] === 'm' || match[2] === 'h' ? 'offset' : 'days', unit: match[2], amount };
+  }
+
+  // Everything else may end with an HH:MM time
+  let phrase = text;
+  let time = null;
+  if ((match = text.match(/^(.*?)\s?(\d{1,2}):(\d{2})$/))) {
+    const hours = parseInt(match[2], 10);
+    const minutes = parseInt(match[3], 10);
+    if (hours > 23 || minutes > 59) return null;
+    time = { hours, minutes };
+    phrase = match[1].trim();
+  }
+
+  if (phrase === 'today') return { kind: 'today', time };
+  if (phrase === 'tomorrow') return { kind: 'days', unit: 'd', amount: 1, time };
+  if (phrase === 'next business day') return { kind: 'businessDay', time };
+
+  const weekdayMatch = phrase.match(/^next (\w+)$/);
+  if (weekdayMatch && WEEKDAY_NAMES.includes(weekdayMatch[1])) {
+    return { kind: 'weekday', weekday: WEEKDAY_NAMES.indexOf(weekdayMatch[1]), time };
+  }
+
+  return null;
+}
+
+// Work out the new due date for a rule. `originalDue` (ms) and
+// `originalHasTime` describe the task's current due date; `schedule` comes
+// from getWorkSchedule(). Resolves to { dueDate, hasTime } or null when the
+// rule is invalid.
+function resolveSnoozeRule(rule, {
+  now = Date.now(),
+  originalDue = null,
+  originalHasTime = false,
+  schedule = null,
+  timeZone = getLocalTimeZone()
+} = {}) {
+  const parsed = typeof rule === 'string' ? parseSnoozeRule(rule) : rule;
+  if (!parsed) return null;
+
+  if (parsed.kind === 'offset') {
+    const unitMs = parsed.unit === 'h' ? 3600000 : 60000;
+    return fitToWorkSchedule({ dueDate: now + parsed.amount * unitMs, hasTime: true }, schedule, { rollOver: true, timeZone });
+  }
+
+  const today = getDayKey(now, timeZone);
+  let day = today;
+
+  if (parsed.kind === 'days' && parsed.unit === 'd') {
+    day = addWorkingDays(today, parsed.amount, schedule);
+  } else if (parsed.kind === 'days') {
+    day = shiftDayKey(today, parsed.amount * 7);
+  } else if (parsed.kind === 'weekday') {
+    // Always a future day: "next monday" on a Monday is a week later
+    const daysAhead = ((parsed.weekday - getDayKeyWeekday(today) + 7) % 7) || 7;
+    day = shiftDayKey(today, daysAhead);
+  } else if (parsed.kind === 'businessDay') {
+    day = addWorkingDays(today, 1, schedule || { days: DEFAULT_WORK_DAYS, holidays: new Set() });
+  }
+
+  let target;
+  if (parsed.time) {
+    let dueDate = zonedTimeToTimestamp({ ...parseDayKey(day), ...parsed.time }, timeZone);
+
+    // "today 15:00" after 15:00 means tomorrow
+    if (parsed.kind === 'today' && dueDate <= now) {
+      dueDate = zonedTimeToTimestamp({ ...parseDayKey(shiftDayKey(day, 1)), ...parsed.time }, timeZone);
+    }
+    target = { dueDate, hasTime: true };
+  } else {
+    const defaultTime = schedule ? schedule.start : { hours: 9, minutes: 0 };
+    target = { dueDate: keepTimeOfDay(day, originalDue, defaultTime, timeZone), hasTime: originalHasTime };
+  }
+
+  return fitToWorkSchedule(target, schedule, { timeZone });
+}
+
+// The instant on `dayKey` at the time of day of `originalDue`, or at
+// `defaultTime` ({ hours, minutes }, 09:00 unless given) when there is none
+function keepTimeOfDay(dayKey, originalDue, defaultTime = { hours: 9, minutes: 0 }, timeZone = getLocalTimeZone()) {
+  const { hours, minutes } = originalDue ? getZonedParts(originalDue, timeZone) : defaultTime;
+  return zonedTimeToTimestamp({ ...parseDayKey(dayKey), hours, minutes }, timeZone);
+}
+
+// Keep only presets whose rule parses (settings may be hand-edited or old)
+function getValidSnoozePresets(presets) {
+  const valid = (presets || []).filter(preset => preset.label && parseSnoozeRule(preset.rule));
+  return valid.length > 0 ? valid : defaultSnoozePresets;
+}
@@ -0,0 +1,90 @@
+// Task filters for the popup's filter panel and saved views. Filters are
+// { dimension: [values] } with one list per dimension below; a task must
+// match every non-empty dimension, and any one value within it.
+
+// Dimensions in panel order. `getValues` returns the task's filter values
+// (ids for spaces, folders and lists, names for tags, lowercase names for
+// statuses, priority ids as strings with 'none' for no priority).
+const TASK_FILTER_DIMENSIONS = [
+  { key: 'spaces', label: 'Space', getValues: task => (task.space?.id ? [String(task.space.id)] : []) },
+  {
+    key: 'folders',
+    label: 'Folder',
+    // Lists outside a folder sit in a hidden one
+    getValues: task => (task.folder?.id && !task.folder.hidden ? [String(task.folder.id)] : [])
+  },
+  { key: 'lists', label: 'List', getValues: task => (task.list?.id ? [String(task.list.id)] : []) },
+  { key: 'tags', label: 'Tag', getValues: task => (task.tags || []).map(tag => tag.name) },
+  { key: 'priorities', label: 'Priority', getValues: task => [task.priority ? String(task.priority.id) : 'none'] },
+  { key: 'statuses', label: 'Status', getValues: task => (task.status?.status ? [task.status.status.toLowerCase()] : []) }
+];
+
+const emptyTaskFilters = { spaces: [], folders: [], lists: [], tags: [], priorities: [], statuses: [] };
+
+function matchesTaskFilters(task, filters) {
+  return TASK_FILTER_DIMENSIONS.every(({ key, getValues }) => {
+    const wanted = filters?.[key] || [];
+    return wanted.length === 0 || getValues(task).some(value => wanted.includes(value));
+  });
+}
+
+function countActiveFilters(filters) {
+  return TASK_FILTER_DIMENSIONS.reduce((count, { key }) => count + (filters?.[key]?.length || 0), 0);
+}
+
+// Chip options per dimension, built from the loaded tasks:
+// { [key]: [{ value, label, color }] } sorted by label. `spaces` maps space
+// ids to names. Values already in `filters` are kept even when no loaded
+// task has them, so they can still be turned off.
+function getTaskFilterOptions(tasks, spaces = {}, filters = emptyTaskFilters) {
+  const options = {};
+
+  TASK_FILTER_DIMENSIONS.forEach(({ key }) => {
+    options[key] = new Map();
+  });
+
+  tasks.forEach(task => {
+    if (task.space?.id) {
+      options.spaces.set(String(task.space.id), { label: spaces[task.space.id] || 'Unknown space' });
+    }
+    if (task.folder?.id && !task.folder.hidden) {
+      options.folders.set(String(task.folder.id), { label: task.folder.name });
+    }
+    if (task.list?.id) {
+      options.lists.set(String(task.list.id), { label: task.list.name });
+    }
+    (task.tags || []).forEach(tag => {
+      options.tags.set(tag.name, { label: tag.name, color: tag.tag_bg });
+    });
+    options.priorities.set(task.priority ? String(task.priority.id) : 'none', {
+      label: task.priority ? capitalize(task.priority.priority) : 'No priority',
+      color: task.priority?.color
+    });
+    if (task.status?.status) {
+      options.statuses.set(task.status.status.toLowerCase(), { label: task.status.status, color: task.status.color });
+    }
+  });
+
+  const result = {};
+  TASK_FILTER_DIMENSIONS.forEach(({ key }) => {
+    (filters[key] || []).forEach(value => {
+      if (!options[key].has(value)) options[key].set(value, { label: value });
+    });
+
+    result[key] = [...options[key].entries()]
+      .map(([value, option]) => ({ value, ...option }))
+      .sort(key === 'priorities' ? comparePriorityOptions : (a, b) => a.label.localeCompare(b.label));
+  });
+
+  return result;
+}
+
+// Urgent first, 'No priority' last
+function comparePriorityOptions(a, b) {
+  const rank = value => (value === 'none' ? Infinity : parseInt(value, 10));
+  return rank(a.value) - rank(b.value);
+}
+
+function capitalize(text) {
+  return text ? text.charAt(0).toUpperCase() + text.slice(1) : '';
+}
@@ -0,0 +1,313 @@
+// Cached task snapshot. The background worker owns it: it fetches tasks,
+// stores the snapshot in chrome.storage.local and pushes it to subscribed
+// views. Views (popup, badge, notifications) never fetch the list themselves;
+// they derive what they show from the snapshot with selectTasks(), so they
+// always agree with each other.
+//
+// A view describes what it shows with a query:
+//   { window, customStart, customEnd, includeOverdue, includeInProgress, includeCompleted, members }
+// where `window` is 'today', 'tomorrow', 'week' (next 7 days), 'none' (no
+// due date) or 'custom' (customStart..customEnd, 'YYYY-MM-DD', inclusive).
+// With includeInProgress, tasks whose start–due range overlaps the window
+// show too, not just those due in it. `members` ({ mode, userIds }, see
+// matchesMembers()) picks whose tasks to show; without it, only the
+// snapshot user's.
+// The snapshot covers the union of every active view's window.
+
+const TASK_SNAPSHOT_KEY = 'taskSnapshot';
+
+// Name of the runtime port views open to subscribe to snapshot updates
+const TASK_PORT_NAME = 'tasks';
+
+// Task fields kept in the snapshot (search results carry far more than we render)
+const SNAPSHOT_TASK_FIELDS = [
+  'id', 'custom_id', 'name', 'url', 'status', 'priority', 'tags', 'assignees',
+  'due_date', 'due_date_time', 'start_date', 'start_date_time',
+  'time_estimate', 'time_spent', 'date_updated', 'date_closed', 'date_done',
+  'list', 'folder', 'space', 'parent', 'teamId', 'teamName'
+];
+
+function slimTask(task) {
+  const slim = {};
+  SNAPSHOT_TASK_FIELDS.forEach(field => {
+    if (task[field] !== undefined) {
+      slim[field] = task[field];
+    }
+  });
+  return slim;
+}
+
+// Days are calendar days in the ClickUp user's time zone (snapshot.timeZone,
+// see lib/time-zone.js); the browser's zone is only a fallback.
+
+// Start and end (inclusive) of the day containing `now`
+function getTodayRange(now = Date.now(), timeZone = getLocalTimeZone()) {
+  return getDayKeyRange(getDayKey(now, timeZone), timeZone);
+}
+
+// Calendar day a task is due on. Windows and overdue checks compare these
+// keys rather than instants, so all-day due dates (stored by ClickUp as some
+// time on that day) count as dates.
+function getDueDayKey(task, timeZone = getLocalTimeZone()) {
+  return task.due_date ? getDayKey(parseInt(task.due_date, 10), timeZone) : null;
+}
+
+function getStartDayKey(task, timeZone = getLocalTimeZone()) {
+  return task.start_date ? getDayKey(parseInt(task.start_date, 10), timeZone) : null;
+}
+
+// Whether a task with a start date is underway during `days` ({ from, to }
+// from getWindowDays()): started by the last day and not due before the
+// first. Without a due date it stays in progress once started.
+function isTaskInProgress(task, days, timeZone = getLocalTimeZone()) {
+  const startDay = getStartDayKey(task, timeZone);
+  if (!days || !startDay || startDay > days.to) return false;
+
+  const dueDay = getDueDayKey(task, timeZone);
+  return !dueDay || dueDay >= days.from;
+}
+
+// First and last day ('YYYY-MM-DD', inclusive) of a query's window, or null for 'none'
+function getWindowDays(query = {}, now = Date.now(), timeZone = getLocalTimeZone()) {
+  const today = getDayKey(now, timeZone);
+
+  switch (query.window) {
+    case 'tomorrow':
+      return { from: shiftDayKey(today, 1), to: shiftDayKey(today, 1) };
+    case 'week':
+      return { from: today, to: shiftDayKey(today, 6) };
+    case 'none':
+      return null;
+    case 'custom': {
+      const from = parseDayKey(query.customStart) ? query.customStart : null;
+      const to = parseDayKey(query.customEnd) ? query.customEnd : from;
+      if (!from) return { from: today, to: today };
+      return from <= to ? { from, to } : { from: to, to: from };
+    }
+    default:
+      return { from: today, to: today };
+  }
+}
+
+// Due-date instants (inclusive) a query's window covers, or null for 'none'
+function getWindowRange(query = {}, now = Date.now(), timeZone = getLocalTimeZone()) {
+  const days = getWindowDays(query, now, timeZone);
+  if (!days) return null;
+
+  return { start: getDayKeyRange(days.from, timeZone).start, end: getDayKeyRange(days.to, timeZone).end };
+}
+
+// Whether a query's window spans more than one day
+function isMultiDayWindow(query, now = Date.now(), timeZone = getLocalTimeZone()) {
+  const days = getWindowDays(query, now, timeZone);
+  return Boolean(days) && days.from !== days.to;
+}
+
+function isTaskCompleted(task) {
+  return task.status?.type === 'closed';
+}
+
+function isTaskOverdue(task, now = Date.now(), timeZone = getLocalTimeZone()) {
+  return Boolean(task.due_date) && !isTaskCompleted(task) &&
+    getDueDayKey(task, timeZone) < getDayKey(now, timeZone);
+}
+
+// Whether a view with `query` shows the task. Undated tasks only show in the
+// 'none' window (or as in progress); overdue means open and due before today.
+function matchesQuery(task, query = {}, now = Date.now(), timeZone = getLocalTimeZone()) {
+  const isCompleted = isTaskCompleted(task);
+  if (isCompleted && !query.includeCompleted) return false;
+
+  const days = getWindowDays(query, now, timeZone);
+  if (query.includeInProgress && !isCompleted && isTaskInProgress(task, days, timeZone)) return true;
+  if (!task.due_date) return !days && !isCompleted;
+  if (!days) return false;
+
+  const dueDay = getDueDayKey(task, timeZone);
+  if (dueDay >= days.from && dueDay <= days.to) return true;
+  return Boolean(query.includeOverdue) && isTaskOverdue(task, now, timeZone);
+}
+
+// Whose tasks a query shows. `mode` is 'me' (the snapshot user), 'selected'
+// (assigned to any of `userIds`), 'unassigned' or 'everyone'.
+function matchesMembers(task, members, userId) {
+  switch (members?.mode) {
+    case 'selected':
+      return (members.userIds || []).some(id => isAssignedTo(task, id));
+    case 'unassigned':
+      return !task.assignees || task.assignees.length === 0;
+    case 'everyone':
+      return true;
+    default:
+      return isAssignedTo(task, userId);
+  }
+}
+
+// Pick the tasks a view should show and annotate them with isOverdue,
+// isCompleted and isInProgress (shown because it is underway, not due in
+// the window)
+function selectTasks(snapshot, query = {}, now = Date.now()) {
+  if (!snapshot || !snapshot.tasks) return [];
+
+  const timeZone = getSnapshotTimeZone(snapshot);
+  const days = getWindowDays(query, now, timeZone);
+  return snapshot.tasks
+    .filter(task => matchesMembers(task, query.members, snapshot.userId))
+    .filter(task => matchesQuery(task, query, now, timeZone))
+    .map(task => {
+      const dueDay = getDueDayKey(task, timeZone);
+      const isDueInWindow = Boolean(days) && Boolean(dueDay) && dueDay >= days.from && dueDay <= days.to;
+      return {
+        ...task,
+        isOverdue: isTaskOverdue(task, now, timeZone),
+        isCompleted: isTaskCompleted(task),
+        isInProgress: Boolean(query.includeInProgress) && !isDueInWindow && isTaskInProgress(task, days, timeZone)
+      };
+    });
+}
+
+// Snapshots saved before time zones were tracked fall back to the browser's
+function getSnapshotTimeZone(snapshot) {
+  return snapshot?.timeZone || getLocalTimeZone();
+}
+
+// What the snapshot must hold for all `queries`: one due-date window that
+// always includes today (for the completed count and notifications), plus
+// overdue, undated and in-progress open tasks when any query wants them.
+// `assignees` lists other members whose tasks are needed besides the
+// snapshot user's; `all` means every task, assigned or not.
+function getSnapshotCoverage(queries, now = Date.now(), timeZone = getLocalTimeZone()) {
+  const today = getTodayRange(now, timeZone);
+  const coverage = {
+    window: { ...today },
+    includeOverdue: false,
+    includeUndated: false,
+    includeInProgress: false,
+    assignees: { all: false, userIds: [] }
+  };
+
+  queries.forEach(query => {
+    if (query.includeOverdue) coverage.includeOverdue = true;
+    if (query.includeInProgress) coverage.includeInProgress = true;
+
+    const mode = query.members?.mode;
+    if (mode === 'unassigned' || mode === 'everyone') {
+      coverage.assignees.all = true;
+    } else if (mode === 'selected') {
+      (query.members.userIds || []).forEach(id => {
+        if (!coverage.assignees.userIds.includes(String(id))) coverage.assignees.userIds.push(String(id));
+      });
+    }
+
+    const range = getWindowRange(query, now, timeZone);
+    if (!range) {
+      coverage.includeUndated = true;
+      return;
+    }
+    coverage.window.start = Math.min(coverage.window.start, range.start);
+    coverage.window.end = Math.max(coverage.window.end, range.end);
+  });
+
+  return coverage;
+}
+
+function snapshotCovers(snapshot, coverage) {
+  if (!snapshot?.window) return false;
+
+  return snapshot.window.start <= coverage.window.start &&
+    snapshot.window.end >= coverage.window.end &&
+    (!coverage.includeOverdue || snapshot.includesOverdue) &&
+    (!coverage.includeUndated || snapshot.includesUndated) &&
+    (!coverage.includeInProgress || snapshot.includesInProgress) &&
+    coversAssignees(snapshot, coverage.assignees);
+}
+
+// The snapshot user's own tasks are always covered
+function coversAssignees(snapshot, wanted = { all: false, userIds: [] }) {
+  const covered = snapshot.assignees || { all: false, userIds: [] };
+  if (covered.all) return true;
+  return !wanted.all &&
+    wanted.userIds.every(id => id === String(snapshot.userId) || covered.userIds.includes(id));
+}
+
+function isAssignedTo(task, userId) {
+  return (task.assignees || []).some(assignee => String(assignee.id) === String(userId));
+}
+
+// Whether a task belongs in the snapshot: assigned to the snapshot's user (or
+// a covered member) and due within its window (open or closed), or open and
+// overdue, undated or in progress during the window when those are covered
+function belongsInSnapshot(task, snapshot, now = Date.now()) {
+  const { userId, window, includesOverdue, includesUndated, includesInProgress } = snapshot;
+  const assignees = snapshot.assignees || { all: false, userIds: [] };
+  if (task.archived) return false;
+  if (!assignees.all && ![userId, ...assignees.userIds].some(id => isAssignedTo(task, id))) return false;
+
+  const timeZone = getSnapshotTimeZone(snapshot);
+  if (includesInProgress && !isTaskCompleted(task) &&
+    isTaskInProgress(task, { from: getDayKey(window.start, timeZone), to: getDayKey(window.end, timeZone) }, timeZone)) {
+    return true;
+  }
+  if (!task.due_date) return Boolean(includesUndated) && !isTaskCompleted(task);
+
+  const dueDate = parseInt(task.due_date, 10);
+  if (dueDate >= window.start && dueDate <= window.end) return true;
+  return Boolean(includesOverdue) && isTaskOverdue(task, now, timeZone);
+}
+
+// Whether a task counts towards "completed today" for the snapshot's user
+function isCompletedToday(task, snapshot, now = Date.now()) {
+  if (!isTaskCompleted(task) || !isAssignedTo(task, snapshot.userId)) return false;
+
+  const { start, end } = getTodayRange(now, getSnapshotTimeZone(snapshot));
+  const doneAt = parseInt(task.date_done || task.date_closed, 10);
+  return doneAt >= start && doneAt <= end;
+}
+
+// Merge tasks updated on the server into the snapshot. Tasks that no longer
+// belong (closed earlier, unassigned, moved out of the window) are evicted.
+function mergeTaskChanges(snapshot, changedTasks, now = Date.now()) {
+  const tasksById = new Map(snapshot.tasks.map(task => [task.id, task]));
+  const completedIds = new Set(snapshot.completedTodayIds || []);
+
+  changedTasks.forEach(task => {
+    if (belongsInSnapshot(task, snapshot, now)) {
+      tasksById.set(task.id, slimTask(task));
+    } else {
+      tasksById.delete(task.id);
+    }
+
+    if (isCompletedToday(task, snapshot, now)) {
+      completedIds.add(task.id);
+    } else {
+      completedIds.delete(task.id);
+    }
+  });
+
+  const merged = { ...snapshot, tasks: [...tasksById.values()] };
+  if (snapshot.completedTodayIds) {
+    merged.completedTodayIds = [...completedIds];
+    merged.completedToday = completedIds.size;
+  }
+  return merged;
+}
+
+// Return a copy of the snapshot with `changes` merged into one task
+function applyTaskPatch(snapshot, taskId, changes) {
+  if (!snapshot) return snapshot;
+
+  return {
+    ...snapshot,
+    tasks: snapshot.tasks.map(task => (task.id === taskId ? { ...task, ...changes } : task))
+  };
+}
+
+async function loadTaskSnapshot() {
+  const result = await chrome.storage.local.get([TASK_SNAPSHOT_KEY]);
+  return result[TASK_SNAPSHOT_KEY] || null;
+}
+
+// Errors cross the messaging boundary as plain objects
+function serializeError(err) {
+  return { name: err.name, message: err.message, status: err.status ?? null };
+}
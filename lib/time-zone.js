@@ -0,0 +1,137 @@
+// Calendar days in an IANA time zone. "Today" is the day in the ClickUp
+// user's profile zone (from /user), not the browser's, so it matches what
+// ClickUp shows even when the OS clock is set to another zone. Days are
+// handled as 'YYYY-MM-DD' keys and only turned into instants at the edges,
+// so DST days of 23 or 25 hours keep their real boundaries.
+// All functions are pure apart from caching formatters.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// timeZone -> Intl.DateTimeFormat; creating formatters is slow
+const zonedFormats = new Map();
+
+function getLocalTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    getZonedFormat(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function getZonedFormat(timeZone) {
+  if (!zonedFormats.has(timeZone)) {
+    zonedFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return zonedFormats.get(timeZone);
+}
+
+// Wall-clock { year, month (1-12), day, hours, minutes, seconds } of an instant
+function getZonedParts(timestamp, timeZone) {
+  const parts = {};
+  getZonedFormat(timeZone).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value, 10);
+    }
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hours: parts.hour,
+    minutes: parts.minute,
+    seconds: parts.second
+  };
+}
+
+// Offset of the zone from UTC at an instant, in ms (positive east of UTC)
+function getTimeZoneOffset(timestamp, timeZone) {
+  const parts = getZonedParts(timestamp, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Instant of a wall-clock time in the zone. A time skipped by a DST jump
+// resolves to the same offset from the hour before the jump.
+function zonedTimeToTimestamp({ year, month, day, hours = 0, minutes = 0 }, timeZone) {
+  const asUtc = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // The offset can differ on either side of a DST change; a second pass settles it
+  const firstOffset = getTimeZoneOffset(asUtc, timeZone);
+  const offset = getTimeZoneOffset(asUtc - firstOffset, timeZone);
+  const timestamp = asUtc - offset;
+  if (getTimeZoneOffset(timestamp, timeZone) === offset) return timestamp;
+
+  // The time was skipped by a spring-forward change; move it forward like Date does
+  return asUtc - Math.min(firstOffset, offset);
+}
+
+// Calendar day ('YYYY-MM-DD') an instant falls on in the zone
+function getDayKey(timestamp, timeZone) {
+  const { year, month, day } = getZonedParts(timestamp, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// 'YYYY-MM-DD' -> { year, month, day }, or null when invalid
+function parseDayKey(key) {
+  const match = String(key || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+
+  const year = parseInt(match[1], 10);
+  const month = parseInt(match[2], 10);
+  const day = parseInt(match[3], 10);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+  return { year, month, day };
+}
+
+// The day `days` days after `key` (calendar arithmetic, no time zone involved)
+function shiftDayKey(key, days) {
+  const { year, month, day } = parseDayKey(key);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// Calendar days from one key to another (negative when `to` is earlier)
+function countDaysBetween(from, to) {
+  const a = parseDayKey(from);
+  const b = parseDayKey(to);
+  return Math.round((Date.UTC(b.year, b.month - 1, b.day) - Date.UTC(a.year, a.month - 1, a.day)) / 86400000);
+}
+
+// Weekday of a day key, 0 (Sunday) to 6
+function getDayKeyWeekday(key) {
+  const { year, month, day } = parseDayKey(key);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+// First instant of the day in the zone
+function getDayStart(key, timeZone) {
+  const start = zonedTimeToTimestamp(parseDayKey(key), timeZone);
+
+  // A few zones skip midnight for DST; their day starts an hour later
+  return getDayKey(start, timeZone) === key ? start : start + HOUR_MS;
+}
+
+// First and last millisecond of the day in the zone
+function getDayKeyRange(key, timeZone) {
+  return {
+    start: getDayStart(key, timeZone),
+    end: getDayStart(shiftDayKey(key, 1), timeZone) - 1
+  };
+}
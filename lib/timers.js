@@ -0,0 +1,197 @@
+// Task timers. The popup runs them while it is open; the background worker
+// pauses them when the user goes idle and starts or stops them from the
+// keyboard shortcut. Both sides share the state in chrome.storage.local:
+//   activeTimers: { taskId: { startTime, pausedDuration, pausedAt, remote } }
+//   lastTimer: { taskId, name, teamId } of the most recently started timer
+//
+// With the timerSync feature, timers also run as ClickUp's own running
+// timer, so ClickUp and other devices see them. `remote` ({ teamId, entryId })
+// links a timer to its ClickUp entry; timers without it (sync off, or
+// started offline) are logged as a finished entry when stopped. ClickUp's
+// timer can't pause, so idle time is taken off the entry when it stops.
+// Requires lib/outbox.js.
+
+const ACTIVE_TIMERS_KEY = 'activeTimers';
+const LAST_TIMER_KEY = 'lastTimer';
+
+async function loadActiveTimers() {
+  const result = await chrome.storage.local.get([ACTIVE_TIMERS_KEY]);
+  return result[ACTIVE_TIMERS_KEY] || {};
+}
+
+function saveActiveTimers(timers) {
+  return chrome.storage.local.set({ [ACTIVE_TIMERS_KEY]: timers });
+}
+
+function createTimer(now = Date.now(), remote = null) {
+  return { startTime: now, pausedDuration: 0, pausedAt: null, remote };
+}
+
+// The most recently started timer's task id, or null when none runs
+function getLatestTimerId(timers) {
+  const taskIds = Object.keys(timers);
+  if (taskIds.length === 0) return null;
+  return taskIds.reduce((latest, taskId) => (timers[taskId].startTime > timers[latest].startTime ? taskId : latest));
+}
+
+// Elapsed time excluding pauses (including one still in progress)
+function getEffectiveElapsed(timer, now = Date.now()) {
+  let elapsed = now - timer.startTime - (timer.pausedDuration || 0);
+
+  if (timer.pausedAt) {
+    elapsed -= (now - timer.pausedAt);
+  }
+
+  return Math.max(0, elapsed);
+}
+
+// Start ClickUp's running timer for a task. Resolves to the timer's
+// `remote` link, or null when it couldn't be started (the timer then runs
+// locally and is logged on stop as usual).
+async function startRemoteTimer(client, teamId, taskId) {
+  try {
+    const entry = await client.startTimeEntry(teamId, taskId);
+    return { teamId: String(teamId), entryId: String(entry.id) };
+  } catch (err) {
+    console.error('Error starting ClickUp timer:', err);
+    return null;
+  }
+}
+
+// Log a stopped timer to ClickUp. Synced timers stop ClickUp's running
+// timer; that failing is thrown, so the caller can keep the timer running
+// rather than lose or double-count it. For local timers, offline entries
+// are queued by runTaskAction() and other failures are kept in the outbox
+// as failed so the tracked time can be retried from the task row.
+async function logTimerEntry(client, taskId, timer, now = Date.now()) {
+  if (timer.remote) {
+    await stopRemoteTimer(client, taskId, timer, now);
+    return;
+  }
+
+  const entry = createOutboxEntry('timeEntry', taskId, {
+    duration: getEffectiveElapsed(timer, now),
+    start: timer.startTime,
+    end: now
+  });
+
+  try {
+    await runTaskAction(client, entry);
+  } catch (err) {
+    console.error('Error logging time:', err);
+    await enqueueOutboxEntry({ ...entry, state: 'failed', error: err.message });
+  }
+}
+
+async function stopRemoteTimer(client, taskId, timer, now) {
+  const { teamId, entryId } = timer.remote;
+  const running = await client.getRunningTimeEntry(teamId);
+
+  // Otherwise it was already stopped in ClickUp (or replaced by another
+  // timer) and is logged, but idle time still has to come off it
+  const isRunning = Boolean(running) && String(running.id) === entryId;
+  if (isRunning) {
+    await client.stopTimeEntry(teamId);
+  }
+
+  if (!timer.pausedDuration && !timer.pausedAt) return;
+
+  try {
+    const end = isRunning ? now : getTimeEntryEnd(await client.getTimeEntry(teamId, entryId), now);
+    // A pause that began after the entry ended took nothing off it
+    const counted = timer.pausedAt > end ? { ...timer, pausedAt: null } : timer;
+
+    await client.updateTimeEntry(teamId, entryId, {
+      tid: taskId,
+      start: timer.startTime,
+      end,
+      duration: getEffectiveElapsed(counted, end)
+    });
+  } catch (err) {
+    console.error('Error taking idle time off the ClickUp timer:', err);
+  }
+}
+
+// When a stopped entry ended, no later than `now`
+function getTimeEntryEnd(entry, now) {
+  const end = parseInt(entry?.end, 10);
+  return end > 0 ? Math.min(end, now) : now;
+}
+
+// Bring local timers in line with the running ClickUp timers. `running` is
+// { teamId: entry or null } for the workspaces that could be checked.
+// Synced timers whose entry stopped are dropped (ClickUp has logged them);
+// a running entry without a local timer is added, replacing a local-only
+// timer for the same task. Pure; returns { timers, replaced }, where
+// `replaced` lists the local-only timers as { taskId, timer, end }: their
+// time up to `end` (when the ClickUp entry took over) still needs logging.
+function reconcileTimers(timers, running) {
+  const result = {};
+  const replaced = [];
+
+  Object.entries(timers).forEach(([taskId, timer]) => {
+    if (timer.remote && timer.remote.teamId in running) {
+      const entry = running[timer.remote.teamId];
+      if (!entry || String(entry.id) !== timer.remote.entryId) return;
+    }
+    result[taskId] = timer;
+  });
+
+  Object.entries(running).forEach(([teamId, entry]) => {
+    const taskId = entry?.task?.id;
+    if (!taskId || result[taskId]?.remote?.entryId === String(entry.id)) return;
+
+    const start = parseInt(entry.start, 10);
+    const local = result[taskId];
+    if (local && !local.remote) {
+      replaced.push({ taskId, timer: local, end: Math.max(local.startTime, start) });
+    }
+    result[taskId] = createTimer(start, { teamId, entryId: String(entry.id) });
+  });
+
+  return { timers: result, replaced };
+}
+
+// Poll ClickUp's running timers in each workspace and reconcile the stored
+// timers with them. Resolves to whether the stored timers changed.
+async function syncRunningTimers(client, teamIds) {
+  const running = {};
+  await Promise.all(teamIds.map(async (teamId) => {
+    try {
+      running[String(teamId)] = await client.getRunningTimeEntry(teamId);
+    } catch (err) {
+      console.error(`Error checking the running timer in workspace ${teamId}:`, err);
+    }
+  }));
+
+  const timers = await loadActiveTimers();
+  const { timers: reconciled, replaced } = reconcileTimers(timers, running);
+  if (JSON.stringify(reconciled) === JSON.stringify(timers)) return false;
+
+  await saveActiveTimers(reconciled);
+
+  // Keep the time a replaced local timer tracked before ClickUp's took over
+  for (const { taskId, timer, end } of replaced) {
+    if (getEffectiveElapsed(timer, end) > 0) {
+      await logTimerEntry(client, taskId, timer, end);
+    }
+  }
+
+  // Timers started elsewhere become the shortcut's "most recent" timer
+  const started = Object.entries(running).find(([, entry]) => entry?.task?.id && !timers[entry.task.id]);
+  if (started) {
+    const [teamId, entry] = started;
+    await rememberLastTimer(entry.task.id, entry.task.name || '', teamId);
+  }
+
+  return true;
+}
+
+function rememberLastTimer(taskId, name, teamId) {
+  return chrome.storage.local.set({ [LAST_TIMER_KEY]: { taskId, name, teamId } });
+}
+
+async function loadLastTimer() {
+  const result = await chrome.storage.local.get([LAST_TIMER_KEY]);
+  return result[LAST_TIMER_KEY] || null;
+}
@@ -0,0 +1,190 @@
+// Working days, working hours and holidays. Snoozing and rescheduling use the
+// schedule so tasks never land on a weekend, a holiday or the middle of the
+// night. Holidays come from an ICS file imported in options.
+// Days are 'YYYY-MM-DD' keys and working hours are wall-clock times in the
+// ClickUp user's time zone (see lib/time-zone.js), which must load first.
+
+// Used by "next business day" when no schedule is configured
+const DEFAULT_WORK_DAYS = [1, 2, 3, 4, 5];
+
+// Only holidays this far ahead are imported
+const HOLIDAY_HORIZON_DAYS = 2 * 365;
+
+// Imported holidays live in chrome.storage.local under their own key: a
+// big calendar would not fit chrome.storage.sync's 8 KB per-item quota
+const HOLIDAYS_KEY = 'holidays';
+
+// 'HH:MM' -> { hours, minutes }, or null when invalid
+function parseTimeOfDay(value) {
+  const match = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+}
+
+// [{ date: 'YYYY-MM-DD', name }]
+async function loadHolidays() {
+  const result = await chrome.storage.local.get([HOLIDAYS_KEY]);
+  return result[HOLIDAYS_KEY] || [];
+}
+
+function saveHolidays(holidays) {
+  return chrome.storage.local.set({ [HOLIDAYS_KEY]: holidays });
+}
+
+// The schedule from settings and loadHolidays(), or null when scheduling is
+// turned off
+function getWorkSchedule(settings, holidays = []) {
+  if (!settings.features.workSchedule || !settings.workDays?.length) return null;
+
+  return {
+    days: settings.workDays,
+    start: parseTimeOfDay(settings.workStart) || { hours: 9, minutes: 0 },
+    end: parseTimeOfDay(settings.workEnd) || { hours: 17, minutes: 0 },
+    holidays: new Set(holidays.map(holiday => holiday.date))
+  };
+}
+
+// Whether a day key is a working day
+function isWorkingDay(dayKey, schedule) {
+  if (!schedule) return true;
+  return schedule.days.includes(getDayKeyWeekday(dayKey)) && !schedule.holidays.has(dayKey);
+}
+
+// First working day on or after `dayKey`
+function rollToWorkingDay(dayKey, schedule) {
+  let result = dayKey;
+  // A year of holidays is the most we will ever skip
+  for (let i = 0; i < 366 && !isWorkingDay(result, schedule); i++) {
+    result = shiftDayKey(result, 1);
+  }
+  return result;
+}
+
+// The day `count` working days after `dayKey`
+function addWorkingDays(dayKey, count, schedule) {
+  let result = dayKey;
+  for (let added = 0; added < count;) {
+    result = shiftDayKey(result, 1);
+    if (isWorkingDay(result, schedule)) added++;
+  }
+  return result;
+}
+
+// Move a { dueDate, hasTime } target onto a working day and, when it has a
+// time, into working hours. Times before the day starts move to the start;
+// later times move to the end of the day, or with `rollOver` (used for "in 3
+// hours"-style offsets) to the start of the next working day. All-day
+// targets keep their time of day. A target that fits is returned unchanged.
+function fitToWorkSchedule(target, schedule, { rollOver = false, timeZone = getLocalTimeZone() } = {}) {
+  if (!schedule) return target;
+
+  const { hours, minutes } = getZonedParts(target.dueDate, timeZone);
+  const day = getDayKey(target.dueDate, timeZone);
+  let shiftedDay = day;
+  let time = null; // New time of day, when it has to move
+
+  if (target.hasTime) {
+    const dayMinutes = hours * 60 + minutes;
+    const startMinutes = schedule.start.hours * 60 + schedule.start.minutes;
+    const endMinutes = schedule.end.hours * 60 + schedule.end.minutes;
+
+    if (rollOver && (dayMinutes > endMinutes || !isWorkingDay(day, schedule))) {
+      if (dayMinutes > endMinutes) {
+        shiftedDay = shiftDayKey(day, 1);
+      }
+      time = schedule.start;
+    } else if (dayMinutes > endMinutes) {
+      time = schedule.end;
+    } else if (dayMinutes < startMinutes) {
+      time = schedule.start;
+    }
+  }
+
+  const workDay = rollToWorkingDay(shiftedDay, schedule);
+  if (workDay === day && !time) return target;
+
+  return {
+    dueDate: zonedTimeToTimestamp({ ...parseDayKey(workDay), ...(time || { hours, minutes }) }, timeZone),
+    hasTime: target.hasTime
+  };
+}
+
+// Parse an ICS calendar into [{ date: 'YYYY-MM-DD', name }], one entry per day.
+// Multi-day events are expanded and yearly events repeated, within the
+// horizon starting at today in `timeZone`. Timed events count for the
+// (calendar) day they start.
+function parseIcsHolidays(text, now = Date.now(), timeZone = getLocalTimeZone()) {
+  // Unfold continuation lines (RFC 5545: CRLF followed by a space or tab)
+  const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/).map(line => line.trim());
+  const from = getDayKey(now, timeZone);
+  const to = shiftDayKey(from, HOLIDAY_HORIZON_DAYS);
+
+  const holidays = new Map();
+  let event = null;
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      event = {};
+      return;
+    }
+    if (line === 'END:VEVENT') {
+      expandIcsEvent(event, from).forEach(({ date, name }) => {
+        if (date >= from && date <= to && !holidays.has(date)) {
+          holidays.set(date, { date, name });
+        }
+      });
+      event = null;
+      return;
+    }
+    if (!event) return;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+    const property = line.slice(0, separator).split(';')[0].toUpperCase();
+    const value = line.slice(separator + 1);
+
+    if (property === 'DTSTART') event.start = parseIcsDate(value);
+    else if (property === 'DTEND') event.end = parseIcsDate(value);
+    else if (property === 'SUMMARY') event.name = value.replace(/\\([,;\\])/g, '$1').trim();
+    else if (property === 'RRULE') event.yearly = /FREQ=YEARLY/i.test(value);
+  });
+
+  return [...holidays.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// '20261225' or '20261225T090000Z' -> '2026-12-25', or null
+function parseIcsDate(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+  const key = `${match[1]}-${match[2]}-${match[3]}`;
+  return parseDayKey(key) ? key : null;
+}
+
+// The event's days, from the year of `today` on for yearly events
+function expandIcsEvent(event, today) {
+  if (!event?.start) return [];
+
+  const name = (event.name || 'Holiday').slice(0, 60);
+  // DTEND is exclusive; events without one last a single day
+  const days = event.end ? Math.max(1, countDaysBetween(event.start, event.end)) : 1;
+  const repeats = event.yearly ? HOLIDAY_HORIZON_DAYS / 365 : 0;
+  const startYear = parseDayKey(event.start).year;
+  const firstYear = event.yearly ? Math.max(startYear, parseDayKey(today).year) : startYear;
+  const entries = [];
+
+  for (let year = 0; year <= repeats; year++) {
+    // Feb 29 only repeats in leap years
+    const start = `${firstYear + year}${event.start.slice(4)}`;
+    if (!parseDayKey(start)) continue;
+
+    for (let day = 0; day < days; day++) {
+      entries.push({ date: shiftDayKey(start, day), name });
+    }
+  }
+
+  return entries;
+}
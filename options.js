@@ -9,43 +9,59 @@ const saveFeaturesBtn = document.getElementById('save-features-btn');
 const featuresStatusEl = document.getElementById('features-status');
 const notificationSettingsEl = document.getElementById('notification-settings');
 const idleSettingsEl = document.getElementById('idle-settings');
+const singleTimerSettingsEl = document.getElementById('single-timer-settings');
+const snoozeSettingsEl = document.getElementById('snooze-settings');
+const workScheduleSettingsEl = document.getElementById('work-schedule-settings');
+const badgeSettingsEl = document.getElementById('badge-settings');
+const teamSettingsEl = document.getElementById('team-settings');
+const quickAddSettingsEl = document.getElementById('quick-add-settings');
 
 // Feature toggles
 const featureToggles = {
   overdue: document.getElementById('feature-overdue'),
+  inProgress: document.getElementById('feature-in-progress'),
   dueTime: document.getElementById('feature-due-time'),
   timeTracked: document.getElementById('feature-time-tracked'),
   completedCount: document.getElementById('feature-completed-count'),
   grouping: document.getElementById('feature-grouping'),
+  teamView: document.getElementById('feature-team-view'),
   badge: document.getElementById('feature-badge'),
   timeTracking: document.getElementById('feature-time-tracking'),
+  timerSync: document.getElementById('feature-timer-sync'),
+  singleTimer: document.getElementById('feature-single-timer'),
   snooze: document.getElementById('feature-snooze'),
+  workSchedule: document.getElementById('feature-work-schedule'),
   filters: document.getElementById('feature-filters'),
+  quickAdd: document.getElementById('feature-quick-add'),
   notifications: document.getElementById('feature-notifications'),
   idleDetection: document.getElementById('feature-idle-detection')
 };
 
 const notificationMinutesInput = document.getElementById('notification-minutes');
 const idleThresholdInput = document.getElementById('idle-threshold');
-
-// Default settings
-const defaultSettings = {
-  features: {
-    overdue: false,
-    dueTime: true,
-    timeTracked: true,
-    completedCount: true,
-    grouping: false,
-    badge: true,
-    timeTracking: true,
-    snooze: true,
-    filters: true,
-    notifications: false,
-    idleDetection: true
-  },
-  notificationMinutes: 15,
-  idleThresholdMinutes: 1
-};
+const timerSwitchSelect = document.getElementById('timer-switch');
+const maxTaskPagesInput = document.getElementById('max-task-pages');
+const badgeWindowSelect = document.getElementById('badge-window');
+const teamAlertsInput = document.getElementById('team-alerts');
+const quickAddListSelect = document.getElementById('quick-add-list');
+const statusOverridesEl = document.getElementById('status-overrides');
+const snoozePresetsEl = document.getElementById('snooze-presets');
+const addSnoozePresetBtn = document.getElementById('add-snooze-preset');
+const workDayInputs = document.querySelectorAll('#work-days input');
+const workStartInput = document.getElementById('work-start');
+const workEndInput = document.getElementById('work-end');
+const holidayFileInput = document.getElementById('holiday-file');
+const holidayListEl = document.getElementById('holiday-list');
+const clearHolidaysBtn = document.getElementById('clear-holidays');
+
+// listId -> status name, edited in the Completion Status card
+let statusOverrides = {};
+
+// [{ date, name }] imported from an ICS file, edited in the Working Schedule card
+let holidays = [];
+
+// listId -> { id, name } for the quick-add list picker
+let quickAddLists = new Map();
 
 // Load saved settings
 document.addEventListener('DOMContentLoaded', async () => {
@@ -55,7 +71,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     apiKeyInput.value = result.clickupApiKey;
   }
 
-  const settings = result.settings || defaultSettings;
+  const settings = mergeSettings(result.settings);
 
   // Load feature toggles
   Object.keys(featureToggles).forEach(key => {
@@ -74,11 +90,44 @@ document.addEventListener('DOMContentLoaded', async () => {
     idleThresholdInput.value = settings.idleThresholdMinutes;
   }
 
+  timerSwitchSelect.value = settings.timerSwitch;
+
+  // Load page limit
+  maxTaskPagesInput.value = settings.maxTaskPages;
+
+  badgeWindowSelect.value = settings.badgeWindow;
+  teamAlertsInput.checked = settings.teamAlerts;
+
+  // Load per-list completion statuses
+  statusOverrides = { ...settings.statusOverrides };
+  renderStatusOverrides();
+  renderQuickAddLists(settings.quickAddList);
+
+  // Load snooze presets
+  getValidSnoozePresets(settings.snoozePresets).forEach(addSnoozePresetRow);
+
+  // Load working schedule, dropping holidays that have passed
+  workDayInputs.forEach(input => {
+    input.checked = settings.workDays.includes(parseInt(input.value, 10));
+  });
+  workStartInput.value = settings.workStart;
+  workEndInput.value = settings.workEnd;
+  const today = getDayKey(Date.now(), getSnapshotTimeZone(await loadTaskSnapshot()));
+  holidays = (await loadHolidays()).filter(holiday => holiday.date >= today);
+  renderHolidays();
+
   // Show/hide notification settings based on toggle
   updateNotificationSettings();
 
   // Show/hide idle settings based on toggle
   updateIdleSettings();
+
+  updateSingleTimerSettings();
+  updateSnoozeSettings();
+  updateWorkScheduleSettings();
+  updateTeamSettings();
+  updateQuickAddSettings();
+  updateBadgeSettings();
 });
 
 // Toggle notification settings visibility
@@ -103,6 +152,171 @@ function updateIdleSettings() {
   }
 }
 
+// Toggle one-timer-at-a-time settings visibility
+featureToggles.singleTimer.addEventListener('change', updateSingleTimerSettings);
+
+function updateSingleTimerSettings() {
+  if (featureToggles.singleTimer.checked) {
+    singleTimerSettingsEl.classList.remove('hidden');
+  } else {
+    singleTimerSettingsEl.classList.add('hidden');
+  }
+}
+
+// Toggle snooze settings visibility
+featureToggles.snooze.addEventListener('change', updateSnoozeSettings);
+
+function updateSnoozeSettings() {
+  if (featureToggles.snooze.checked) {
+    snoozeSettingsEl.classList.remove('hidden');
+  } else {
+    snoozeSettingsEl.classList.add('hidden');
+  }
+}
+
+// Toggle badge settings visibility
+featureToggles.badge.addEventListener('change', updateBadgeSettings);
+
+function updateBadgeSettings() {
+  if (featureToggles.badge.checked) {
+    badgeSettingsEl.classList.remove('hidden');
+  } else {
+    badgeSettingsEl.classList.add('hidden');
+  }
+}
+
+// Toggle team view settings visibility
+featureToggles.teamView.addEventListener('change', updateTeamSettings);
+
+function updateTeamSettings() {
+  if (featureToggles.teamView.checked) {
+    teamSettingsEl.classList.remove('hidden');
+  } else {
+    teamSettingsEl.classList.add('hidden');
+  }
+}
+
+// Toggle quick add settings visibility
+featureToggles.quickAdd.addEventListener('change', updateQuickAddSettings);
+
+function updateQuickAddSettings() {
+  if (featureToggles.quickAdd.checked) {
+    quickAddSettingsEl.classList.remove('hidden');
+  } else {
+    quickAddSettingsEl.classList.add('hidden');
+  }
+}
+
+// Toggle working schedule settings visibility
+featureToggles.workSchedule.addEventListener('change', updateWorkScheduleSettings);
+
+function updateWorkScheduleSettings() {
+  if (featureToggles.workSchedule.checked) {
+    workScheduleSettingsEl.classList.remove('hidden');
+  } else {
+    workScheduleSettingsEl.classList.add('hidden');
+  }
+}
+
+holidayFileInput.addEventListener('change', async () => {
+  const file = holidayFileInput.files[0];
+  if (!file) return;
+
+  const timeZone = getSnapshotTimeZone(await loadTaskSnapshot());
+  const imported = parseIcsHolidays(await file.text(), Date.now(), timeZone);
+  holidayFileInput.value = '';
+
+  if (imported.length === 0) {
+    showStatus(featuresStatusEl, 'No upcoming holidays found in that file.', 'error');
+    return;
+  }
+
+  const byDate = new Map(holidays.map(holiday => [holiday.date, holiday]));
+  imported.forEach(holiday => byDate.set(holiday.date, holiday));
+  holidays = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+  renderHolidays();
+
+  showStatus(featuresStatusEl, `Imported ${imported.length} holidays. Save to apply them.`, 'success');
+});
+
+clearHolidaysBtn.addEventListener('click', () => {
+  holidays = [];
+  renderHolidays();
+});
+
+function renderHolidays() {
+  holidayListEl.innerHTML = '';
+
+  holidays.forEach(holiday => {
+    const item = document.createElement('li');
+    const name = document.createElement('span');
+    name.textContent = holiday.name;
+    const date = document.createElement('span');
+    date.textContent = holiday.date;
+    item.appendChild(name);
+    item.appendChild(date);
+    holidayListEl.appendChild(item);
+  });
+
+  clearHolidaysBtn.classList.toggle('hidden', holidays.length === 0);
+}
+
+addSnoozePresetBtn.addEventListener('click', () => {
+  addSnoozePresetRow({ label: '', rule: '' });
+});
+
+function addSnoozePresetRow(preset) {
+  const row = document.createElement('div');
+  row.className = 'snooze-preset';
+
+  const labelInput = document.createElement('input');
+  labelInput.type = 'text';
+  labelInput.className = 'snooze-preset-label';
+  labelInput.placeholder = 'Label';
+  labelInput.value = preset.label;
+
+  const ruleInput = document.createElement('input');
+  ruleInput.type = 'text';
+  ruleInput.className = 'snooze-preset-rule';
+  ruleInput.placeholder = 'Rule, e.g. +2d';
+  ruleInput.value = preset.rule;
+  ruleInput.addEventListener('input', () => {
+    ruleInput.classList.toggle('invalid', ruleInput.value.trim() !== '' && !parseSnoozeRule(ruleInput.value));
+  });
+
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'snooze-preset-remove';
+  removeBtn.title = 'Remove preset';
+  removeBtn.textContent = '×';
+  removeBtn.addEventListener('click', () => row.remove());
+
+  row.appendChild(labelInput);
+  row.appendChild(ruleInput);
+  row.appendChild(removeBtn);
+  snoozePresetsEl.appendChild(row);
+}
+
+// Read the preset editor. Blank rows are dropped; returns null if a rule is invalid.
+function getSnoozePresetsFromForm() {
+  const presets = [];
+  let valid = true;
+
+  snoozePresetsEl.querySelectorAll('.snooze-preset').forEach(row => {
+    const label = row.querySelector('.snooze-preset-label').value.trim();
+    const rule = row.querySelector('.snooze-preset-rule').value.trim();
+    if (!label && !rule) return;
+
+    if (!label || !parseSnoozeRule(rule)) {
+      valid = false;
+      return;
+    }
+    presets.push({ label, rule });
+  });
+
+  return valid ? presets : null;
+}
+
 // Save API Key
 apiForm.addEventListener('submit', async (e) => {
   e.preventDefault();
@@ -118,18 +332,8 @@ apiForm.addEventListener('submit', async (e) => {
   saveApiBtn.textContent = 'Validating...';
 
   try {
-    const response = await fetch('https://api.clickup.com/api/v2/user', {
-      headers: {
-        'Authorization': apiKey,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error('Invalid API key');
-    }
-
-    const userData = await response.json();
+    const client = await ClickUpClient.fromStorage({ apiKey });
+    const user = await client.getUser();
 
     // Save the API key
     await chrome.storage.sync.set({ clickupApiKey: apiKey });
@@ -137,9 +341,15 @@ apiForm.addEventListener('submit', async (e) => {
     // Notify background script to update
     chrome.runtime.sendMessage({ type: 'SETTINGS_UPDATED' });
 
-    showStatus(apiStatusEl, `Connected as ${userData.user.username || userData.user.email}`, 'success');
+    showStatus(apiStatusEl, `Connected as ${user.username || user.email}`, 'success');
   } catch (err) {
-    showStatus(apiStatusEl, 'Invalid API key. Please check and try again.', 'error');
+    if (err instanceof NetworkError) {
+      showStatus(apiStatusEl, 'Could not reach ClickUp. Check your connection and try again.', 'error');
+    } else if (err instanceof RateLimitError) {
+      showStatus(apiStatusEl, 'ClickUp rate limit reached. Please wait a minute and try again.', 'error');
+    } else {
+      showStatus(apiStatusEl, 'Invalid API key. Please check and try again.', 'error');
+    }
   } finally {
     saveApiBtn.disabled = false;
     saveApiBtn.textContent = 'Save API Key';
@@ -152,14 +362,45 @@ saveFeaturesBtn.addEventListener('click', async () => {
   saveFeaturesBtn.textContent = 'Saving...';
 
   try {
+    const snoozePresets = getSnoozePresetsFromForm();
+    if (!snoozePresets) {
+      showStatus(featuresStatusEl, 'Each snooze preset needs a label and a valid rule.', 'error');
+      return;
+    }
+
+    const workDays = [...workDayInputs].filter(input => input.checked).map(input => parseInt(input.value, 10));
+    if (featureToggles.workSchedule.checked && workDays.length === 0) {
+      showStatus(featuresStatusEl, 'Pick at least one working day.', 'error');
+      return;
+    }
+    if (!workStartInput.value || !workEndInput.value || workStartInput.value >= workEndInput.value) {
+      showStatus(featuresStatusEl, 'Working hours must end after they start.', 'error');
+      return;
+    }
+
     // Validate idle threshold (minimum 1 minute, no maximum - let users set what they want)
     const idleThreshold = parseInt(idleThresholdInput.value, 10);
     const validIdleThreshold = isNaN(idleThreshold) || idleThreshold < 1 ? 1 : idleThreshold;
 
+    // Validate page limit (at least one page per workspace)
+    const maxTaskPages = parseInt(maxTaskPagesInput.value, 10);
+    const validMaxTaskPages = isNaN(maxTaskPages) || maxTaskPages < 1 ? defaultSettings.maxTaskPages : maxTaskPages;
+
     const settings = {
+      ...(await loadSettings()),
       features: {},
       notificationMinutes: parseInt(notificationMinutesInput.value, 10) || 15,
-      idleThresholdMinutes: validIdleThreshold
+      idleThresholdMinutes: validIdleThreshold,
+      timerSwitch: timerSwitchSelect.value,
+      maxTaskPages: validMaxTaskPages,
+      badgeWindow: badgeWindowSelect.value,
+      teamAlerts: teamAlertsInput.checked,
+      quickAddList: quickAddLists.get(quickAddListSelect.value) || null,
+      statusOverrides,
+      snoozePresets: snoozePresets.length > 0 ? snoozePresets : null,
+      workDays: workDays.length > 0 ? workDays : defaultSettings.workDays,
+      workStart: workStartInput.value,
+      workEnd: workEndInput.value
     };
 
     // Gather all feature toggle states
@@ -168,6 +409,7 @@ saveFeaturesBtn.addEventListener('click', async () => {
     });
 
     // Save settings
+    await saveHolidays(holidays);
     await chrome.storage.sync.set({ settings });
 
     // Notify background script to update
@@ -182,6 +424,132 @@ saveFeaturesBtn.addEventListener('click', async () => {
   }
 });
 
+// One status picker per list the user currently has tasks in
+async function renderStatusOverrides() {
+  const snapshot = await loadTaskSnapshot();
+  const lists = new Map();
+  (snapshot?.tasks || []).forEach(task => {
+    if (task.list?.id) {
+      lists.set(task.list.id, task.list.name);
+    }
+  });
+
+  if (lists.size === 0) {
+    statusOverridesEl.innerHTML = '<p class="help-text">Open the extension popup once to load your lists.</p>';
+    return;
+  }
+
+  const client = await ClickUpClient.fromStorage();
+  statusOverridesEl.innerHTML = '';
+
+  const sortedLists = [...lists.entries()].sort((a, b) => a[1].localeCompare(b[1]));
+  for (const [listId, listName] of sortedLists) {
+    let statuses;
+    try {
+      statuses = await getListStatuses(client, listId);
+    } catch (err) {
+      console.error(`Error loading statuses for list ${listName}:`, err);
+      continue;
+    }
+
+    const row = document.createElement('div');
+    row.className = 'status-override';
+
+    const label = document.createElement('label');
+    label.textContent = listName;
+    label.htmlFor = `status-override-${listId}`;
+
+    const select = document.createElement('select');
+    select.id = `status-override-${listId}`;
+
+    const defaultStatus = getDoneStatus(statuses);
+    const defaultOption = document.createElement('option');
+    defaultOption.value = '';
+    defaultOption.textContent = `Default (${defaultStatus ? defaultStatus.status : 'closed'})`;
+    select.appendChild(defaultOption);
+
+    statuses.forEach(status => {
+      const option = document.createElement('option');
+      option.value = status.status;
+      option.textContent = status.status;
+      select.appendChild(option);
+    });
+
+    select.value = statusOverrides[listId] || '';
+    select.addEventListener('change', () => {
+      if (select.value) {
+        statusOverrides[listId] = select.value;
+      } else {
+        delete statusOverrides[listId];
+      }
+    });
+
+    row.appendChild(label);
+    row.appendChild(select);
+    statusOverridesEl.appendChild(row);
+  }
+}
+
+// Every list in every workspace, grouped by space, for the quick-add picker.
+// The saved list stays selectable even if it can't be loaded right now.
+async function renderQuickAddLists(selected) {
+  quickAddLists = new Map();
+  if (selected) {
+    quickAddLists.set(selected.id, selected);
+  }
+
+  const groups = [];
+  try {
+    const client = await ClickUpClient.fromStorage();
+    if (client.apiKey) {
+      for (const team of await client.getTeams()) {
+        for (const space of await client.getSpaces(team.id)) {
+          const [folders, folderlessLists] = await Promise.all([
+            client.getFolders(space.id),
+            client.getFolderlessLists(space.id)
+          ]);
+          const lists = [
+            ...folderlessLists.map(list => ({ id: list.id, name: list.name })),
+            ...folders.flatMap(folder => (folder.lists || []).map(list => ({ id: list.id, name: `${folder.name} / ${list.name}` })))
+          ];
+          if (lists.length > 0) {
+            groups.push({ label: `${team.name} / ${space.name}`, lists });
+          }
+        }
+      }
+    }
+  } catch (err) {
+    console.error('Error loading lists:', err);
+  }
+
+  quickAddListSelect.innerHTML = '';
+  const noneOption = document.createElement('option');
+  noneOption.value = '';
+  noneOption.textContent = groups.length > 0 || selected ? 'Choose a list' : 'Save your API key to load lists';
+  quickAddListSelect.appendChild(noneOption);
+
+  groups.forEach(group => {
+    const optgroup = document.createElement('optgroup');
+    optgroup.label = group.label;
+    group.lists.forEach(list => {
+      quickAddLists.set(list.id, list);
+      const option = document.createElement('option');
+      option.value = list.id;
+      option.textContent = list.name;
+      optgroup.appendChild(option);
+    });
+    quickAddListSelect.appendChild(optgroup);
+  });
+
+  if (selected && !groups.some(group => group.lists.some(list => list.id === selected.id))) {
+    const option = document.createElement('option');
+    option.value = selected.id;
+    option.textContent = selected.name;
+    quickAddListSelect.appendChild(option);
+  }
+  quickAddListSelect.value = selected ? selected.id : '';
+}
+
 function showStatus(element, message, type) {
   element.textContent = message;
   element.className = `status ${type}`;
@@ -1,24 +1,3 @@
-const API_BASE = 'https://api.clickup.com/api/v2';
-
-// Default settings
-const defaultSettings = {
-  features: {
-    overdue: false,
-    dueTime: true,
-    timeTracked: true,
-    completedCount: true,
-    grouping: false,
-    badge: true,
-    timeTracking: true,
-    snooze: true,
-    filters: true,
-    notifications: false,
-    idleDetection: true
-  },
-  notificationMinutes: 15,
-  idleThresholdMinutes: 1
-};
-
 // DOM Elements
 const loadingEl = document.getElementById('loading');
 const errorEl = document.getElementById('error');
@@ -26,65 +5,180 @@ const errorMessageEl = document.getElementById('error-message');
 const tasksContainerEl = document.getElementById('tasks-container');
 const tasksListEl = document.getElementById('tasks-list');
 const noTasksEl = document.getElementById('no-tasks');
+const noTasksMessageEl = document.getElementById('no-tasks-message');
+const viewTitleEl = document.getElementById('view-title');
+const truncatedNoticeEl = document.getElementById('truncated-notice');
+const staleNoticeEl = document.getElementById('stale-notice');
 const taskCountEl = document.getElementById('task-count');
 const totalTimeEl = document.getElementById('total-time');
 const completedCountEl = document.getElementById('completed-count');
 const refreshBtn = document.getElementById('refresh-btn');
+const selectBtn = document.getElementById('select-btn');
 const settingsBtn = document.getElementById('settings-btn');
 const openSettingsLink = document.getElementById('open-settings');
 
+// Search
+const searchInput = document.getElementById('search-input');
+const quickAddForm = document.getElementById('quick-add');
+const quickAddInput = document.getElementById('quick-add-input');
+const quickAddPreview = document.getElementById('quick-add-preview');
+
 // Filter elements
 const filtersBar = document.getElementById('filters-bar');
+const windowSelect = document.getElementById('window-select');
+const customStartInput = document.getElementById('custom-start');
+const customEndInput = document.getElementById('custom-end');
 const workspaceFilter = document.getElementById('workspace-filter');
 const sortSelect = document.getElementById('sort-select');
 const overdueToggle = document.getElementById('overdue-toggle');
 const overdueToggleContainer = document.getElementById('overdue-toggle-container');
 const completedToggle = document.getElementById('completed-toggle');
+const inProgressToggle = document.getElementById('in-progress-toggle');
+const memberFilter = document.getElementById('member-filter');
+const memberModeSelect = document.getElementById('member-mode');
+const memberPicker = document.getElementById('member-picker');
+const groupingToggle = document.getElementById('grouping-toggle');
+const viewChipsEl = document.getElementById('view-chips');
+const saveViewBtn = document.getElementById('save-view-btn');
+const filterPanelBtn = document.getElementById('filter-panel-btn');
+const filterPanelEl = document.getElementById('filter-panel');
+
+// Bulk selection elements
+const bulkBarEl = document.getElementById('bulk-bar');
+const bulkCountEl = document.getElementById('bulk-count');
+const bulkSelectAllBtn = document.getElementById('bulk-select-all');
+const bulkClearBtn = document.getElementById('bulk-clear');
+const bulkCompleteBtn = document.getElementById('bulk-complete');
+const bulkSnoozeBtn = document.getElementById('bulk-snooze');
+const bulkStatusBtn = document.getElementById('bulk-status');
+const bulkPrioritySelect = document.getElementById('bulk-priority');
+
+// Undo toast elements
+const toastEl = document.getElementById('toast');
+const toastMessageEl = document.getElementById('toast-message');
+const toastUndoBtn = document.getElementById('toast-undo');
 
 // Snooze modal elements
 const snoozeModal = document.getElementById('snooze-modal');
 const snoozeTaskName = document.getElementById('snooze-task-name');
 const snoozeCancel = document.getElementById('snooze-cancel');
-const snoozeOptions = document.querySelectorAll('.snooze-option');
+const snoozeOptions = document.getElementById('snooze-options');
+const snoozeDate = document.getElementById('snooze-date');
+const snoozeTime = document.getElementById('snooze-time');
+const snoozeCustomBtn = document.getElementById('snooze-custom-btn');
+const snoozeCustomHint = document.getElementById('snooze-custom-hint');
+
+// Task detail drawer elements
+const taskDrawer = document.getElementById('task-drawer');
+const taskDrawerBack = document.getElementById('task-drawer-back');
+const taskDrawerTitle = document.getElementById('task-drawer-title');
+const taskDrawerOpen = document.getElementById('task-drawer-open');
+const taskDrawerBody = document.getElementById('task-drawer-body');
+const taskCommentForm = document.getElementById('task-comment-form');
+const taskCommentInput = document.getElementById('task-comment-input');
+const taskCommentSubmit = document.getElementById('task-comment-submit');
+
+// Keyboard shortcuts cheat sheet
+const shortcutsModal = document.getElementById('shortcuts-modal');
+const shortcutsBtn = document.getElementById('shortcuts-btn');
+const shortcutsClose = document.getElementById('shortcuts-close');
 
 // State
-let apiKey = '';
+let client = null;
 let settings = defaultSettings;
+let snapshot = null; // Latest task snapshot from the background worker
+let taskPort = null;
+let outbox = []; // Queued actions not yet synced to ClickUp
 let allTasks = [];
 let teams = [];
 let spaces = {}; // spaceId -> spaceName lookup
 let parentTasks = {}; // parentId -> parentName lookup
 let activeTimers = {}; // taskId -> { startTime, intervalId }
-let currentSnoozeTaskId = null;
+// Kept apart from activeTimers, which storage changes rebuild
+let timerStops = {}; // taskId -> promise of the stop in progress
+let remoteTimerStarts = {}; // taskId -> promise of the ClickUp timer's `remote` link
+let currentSnoozeTaskIds = []; // Tasks the snooze modal applies to
+let selectedTaskIds = new Set(); // Bulk selection
+let lastSelectedTaskId = null; // Anchor for shift-click range selection
+let bulkErrors = new Map(); // taskId -> error from the last bulk action
+let statusMenuEl = null; // Open status dropdown, if any
+let pendingUndo = null; // Callback for the toast's Undo button
+let toastTimeoutId = null;
+let teamView = { mode: 'me', userIds: [] }; // Whose tasks to show; saved in settings
+let workspaceId = 'all'; // Kept apart from the select, whose options load with the snapshot
+let taskFilters = { ...emptyTaskFilters }; // See lib/task-filters.js
+let savedViews = { views: [], defaultViewId: null };
+let searchMatches = new Map(); // taskId -> matched characters per field (lib/fuzzy-search.js)
+let activeTaskId = null; // Row picked with the keyboard
+let drawerTask = null; // Full task shown in the detail drawer, once loaded
+let drawerTaskId = null;
+let drawerComments = [];
+let holidays = []; // Imported holidays for the work schedule (lib/work-schedule.js)
+
+// How long the Undo button stays available after complete/snooze
+const UNDO_TIMEOUT_MS = 6000;
+
+// Comments shown in the detail drawer (newest first)
+const DRAWER_COMMENT_LIMIT = 10;
+
+// Header title and empty-list message per date window
+const WINDOW_LABELS = {
+  today: { title: 'Tasks Due Today', empty: 'No tasks due today!' },
+  tomorrow: { title: 'Tasks Due Tomorrow', empty: 'No tasks due tomorrow.' },
+  week: { title: 'Next 7 Days', empty: 'No tasks due in the next 7 days.' },
+  none: { title: 'No Due Date', empty: 'No open tasks without a due date.' },
+  custom: { title: 'Tasks in Range', empty: 'No tasks due in this range.' }
+};
+
+// Holding the checkbox this long opens the status picker
+const LONG_PRESS_MS = 500;
+
+// ClickUp's fixed priority levels (ids are what the API takes)
+const PRIORITY_LEVELS = [
+  { id: 1, priority: 'urgent', color: '#f50000' },
+  { id: 2, priority: 'high', color: '#ffcc00' },
+  { id: 3, priority: 'normal', color: '#6fddff' },
+  { id: 4, priority: 'low', color: '#d8d8d8' }
+];
 
 // Initialize
 document.addEventListener('DOMContentLoaded', init);
 
 async function init() {
-  const result = await chrome.storage.sync.get(['clickupApiKey', 'settings']);
-  apiKey = result.clickupApiKey;
-  settings = result.settings || defaultSettings;
+  settings = await loadSettings();
+  client = await ClickUpClient.fromStorage();
 
-  if (!apiKey) {
+  if (!client.apiKey) {
     showError('Please configure your ClickUp API key in settings.');
     return;
   }
 
-  // Load persisted timer state
+  // Load persisted timer state, and have the background check ClickUp for
+  // timers started or stopped elsewhere
   await loadPersistedTimers();
+  if (settings.features.timeTracking && settings.features.timerSync) {
+    chrome.runtime.sendMessage({ type: 'SYNC_TIMERS' });
+  }
+
+  // Load queued offline actions so their rows can show sync state
+  outbox = await loadOutbox();
+  holidays = await loadHolidays();
 
-  // Setup UI based on settings
+  // Setup UI based on settings, then open the default view
   setupUI();
+  savedViews = await loadSavedViews();
+  applyViewState(getInitialViewState(settings, savedViews));
 
-  // Load tasks
-  loadTasks();
+  // Render the cached snapshot instantly, then subscribe for a fresh one
+  applySnapshot(await loadTaskSnapshot());
+  connectTaskPort();
+  searchInput.focus();
 }
 
 // Load timer state from storage and resume timers
 async function loadPersistedTimers() {
   try {
-    const result = await chrome.storage.local.get(['activeTimers']);
-    const persistedTimers = result.activeTimers || {};
+    const persistedTimers = await loadActiveTimers();
 
     // Restore active timers (we'll update the UI after tasks load)
     for (const [taskId, timerData] of Object.entries(persistedTimers)) {
@@ -92,6 +186,7 @@ async function loadPersistedTimers() {
         startTime: timerData.startTime,
         pausedDuration: timerData.pausedDuration || 0,
         pausedAt: timerData.pausedAt || null,
+        remote: timerData.remote || null,
         intervalId: null // Will be set up when task element is rendered
       };
     }
@@ -108,31 +203,16 @@ async function persistTimerState() {
       timersToSave[taskId] = {
         startTime: timerData.startTime,
         pausedDuration: timerData.pausedDuration || 0,
-        pausedAt: timerData.pausedAt || null
+        pausedAt: timerData.pausedAt || null,
+        remote: timerData.remote || null
       };
     }
-    await chrome.storage.local.set({ activeTimers: timersToSave });
+    await saveActiveTimers(timersToSave);
   } catch (err) {
     console.error('Error persisting timer state:', err);
   }
 }
 
-// Calculate effective elapsed time (excluding paused duration)
-function getEffectiveElapsed(timerData) {
-  const now = Date.now();
-  let elapsed = now - timerData.startTime;
-
-  // Subtract total paused duration
-  elapsed -= (timerData.pausedDuration || 0);
-
-  // If currently paused, also subtract time since pause started
-  if (timerData.pausedAt) {
-    elapsed -= (now - timerData.pausedAt);
-  }
-
-  return Math.max(0, elapsed);
-}
-
 function setupUI() {
   // Show/hide filters bar
   if (settings.features.filters) {
@@ -141,40 +221,341 @@ function setupUI() {
     filtersBar.classList.add('hidden');
   }
 
-  // Show/hide overdue toggle (only in filters if overdue feature is enabled via settings page)
-  if (settings.features.overdue) {
-    overdueToggle.checked = true;
-  }
-
   // Show/hide completed count
   if (!settings.features.completedCount) {
     completedCountEl.classList.add('hidden');
   }
+
+  bulkSnoozeBtn.classList.toggle('hidden', !settings.features.snooze);
+
+  memberFilter.classList.toggle('hidden', !settings.features.teamView);
+
+  quickAddForm.classList.toggle('hidden', !settings.features.quickAdd);
+  if (settings.quickAddList) {
+    quickAddInput.title = `New tasks go to ${settings.quickAddList.name}`;
+  }
 }
 
 // Event listeners
 refreshBtn.addEventListener('click', loadTasks);
+shortcutsBtn.addEventListener('click', () => shortcutsModal.classList.remove('hidden'));
+shortcutsClose.addEventListener('click', () => shortcutsModal.classList.add('hidden'));
 settingsBtn.addEventListener('click', openSettings);
 openSettingsLink.addEventListener('click', (e) => {
   e.preventDefault();
   openSettings();
 });
 
+// Re-render when queued actions are synced, fail or get discarded, or when
+// the timer shortcut (or timer sync with ClickUp) starts or stops a timer
+// while the popup is open
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+
+  if (changes[OUTBOX_KEY]) {
+    outbox = changes[OUTBOX_KEY].newValue || [];
+    if (snapshot) {
+      applySnapshot(snapshot);
+    }
+  }
+
+  if (changes[ACTIVE_TIMERS_KEY]) {
+    const timers = changes[ACTIVE_TIMERS_KEY].newValue || {};
+    const describe = map => Object.keys(map).sort()
+      .map(taskId => `${taskId}:${map[taskId].startTime}:${map[taskId].remote?.entryId || ''}`).join();
+    const changed = describe(timers) !== describe(activeTimers);
+    if (changed) {
+      Object.values(activeTimers).forEach(timer => clearInterval(timer.intervalId));
+      activeTimers = {};
+      Object.entries(timers).forEach(([taskId, timer]) => {
+        activeTimers[taskId] = { ...timer, intervalId: null };
+      });
+      renderTasks(allTasks);
+    }
+  }
+});
+
 // Filter event listeners
-workspaceFilter.addEventListener('change', () => renderTasks(allTasks));
+windowSelect.addEventListener('change', () => {
+  if (windowSelect.value === 'custom' && !customStartInput.value) {
+    customStartInput.value = getDayKey(Date.now(), getSnapshotTimeZone(snapshot));
+    customEndInput.value = customStartInput.value;
+  }
+  updateWindowUI();
+  updateTaskQuery();
+});
+customStartInput.addEventListener('change', updateTaskQuery);
+customEndInput.addEventListener('change', updateTaskQuery);
+workspaceFilter.addEventListener('change', () => {
+  workspaceId = workspaceFilter.value;
+  renderTasks(allTasks);
+});
 sortSelect.addEventListener('change', () => renderTasks(allTasks));
-overdueToggle.addEventListener('change', loadTasks);
-completedToggle.addEventListener('change', loadTasks);
+groupingToggle.addEventListener('change', () => renderTasks(allTasks));
+overdueToggle.addEventListener('change', updateTaskQuery);
+completedToggle.addEventListener('change', updateTaskQuery);
+inProgressToggle.addEventListener('change', updateTaskQuery);
+memberModeSelect.addEventListener('change', () => {
+  updateTeamView({ ...teamView, mode: memberModeSelect.value });
+});
+memberPicker.addEventListener('click', (e) => {
+  const chip = e.target.closest('.member-chip');
+  if (!chip) return;
+
+  const userId = chip.dataset.userId;
+  const userIds = teamView.userIds.includes(userId)
+    ? teamView.userIds.filter(id => id !== userId)
+    : [...teamView.userIds, userId];
+  updateTeamView({ ...teamView, userIds });
+});
+
+// Saved views
+viewChipsEl.addEventListener('click', (e) => {
+  const actionBtn = e.target.closest('[data-view-action]');
+  if (actionBtn) {
+    const view = savedViews.views.find(v => v.id === actionBtn.dataset.viewId);
+    if (actionBtn.dataset.viewAction === 'default') {
+      toggleDefaultView(view);
+    } else {
+      deleteSavedView(view);
+    }
+    return;
+  }
+
+  const chip = e.target.closest('.view-chip');
+  if (chip) {
+    const view = savedViews.views.find(v => v.id === chip.dataset.viewId);
+    applyViewState(view.state);
+    updateTaskQuery();
+  }
+});
+saveViewBtn.addEventListener('click', saveCurrentView);
+
+// Filter panel
+filterPanelBtn.addEventListener('click', () => {
+  const open = filterPanelEl.classList.toggle('hidden') === false;
+  filterPanelBtn.setAttribute('aria-expanded', String(open));
+  renderFilterPanel();
+});
+filterPanelEl.addEventListener('click', (e) => {
+  if (e.target.closest('[data-filter-action="clear"]')) {
+    taskFilters = { ...emptyTaskFilters };
+    renderTasks(allTasks);
+    return;
+  }
+
+  const chip = e.target.closest('.filter-chip');
+  if (!chip) return;
+
+  const { dimension, value } = chip.dataset;
+  const values = taskFilters[dimension] || [];
+  taskFilters = {
+    ...taskFilters,
+    [dimension]: values.includes(value) ? values.filter(v => v !== value) : [...values, value]
+  };
+  renderTasks(allTasks);
+});
+
+// Search: type to filter, arrows to pick a row, Enter to act on it
+searchInput.addEventListener('input', () => {
+  activeTaskId = null;
+  renderTasks(allTasks);
+});
+searchInput.addEventListener('keydown', (e) => {
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    moveActiveTask(e.key === 'ArrowDown' ? 1 : -1);
+  } else if (e.key === 'Enter' && activeTaskId) {
+    e.preventDefault();
+    if (e.ctrlKey || e.metaKey) {
+      completeActiveTask();
+    } else if (e.shiftKey) {
+      snoozeActiveTask();
+    } else {
+      showActiveTaskDetails();
+    }
+  } else if (e.key === 'Escape' && searchInput.value) {
+    // Clear the search rather than closing the popup
+    e.preventDefault();
+    e.stopPropagation();
+    searchInput.value = '';
+    activeTaskId = null;
+    renderTasks(allTasks);
+  } else if (e.key === 'Escape') {
+    // Leave the empty search box so single-key shortcuts work
+    e.preventDefault();
+    e.stopPropagation();
+    searchInput.blur();
+  }
+});
+
+// Quick add: preview what the parser picks up, Enter creates the task
+quickAddInput.addEventListener('input', renderQuickAddPreview);
+quickAddInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && quickAddInput.value) {
+    e.preventDefault();
+    e.stopPropagation();
+    quickAddInput.value = '';
+    renderQuickAddPreview();
+  }
+});
+quickAddForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  createQuickAddTask();
+});
+
+// Task detail drawer
+taskDrawerBack.addEventListener('click', closeTaskDrawer);
+taskDrawerBody.addEventListener('change', (e) => {
+  const input = e.target;
+  if (input.dataset.itemId) {
+    toggleChecklistItem(input);
+  } else if (input.dataset.subtaskId) {
+    toggleSubtask(input);
+  }
+});
+taskCommentInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+    e.preventDefault();
+    postTaskComment();
+  }
+});
+taskCommentForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  postTaskComment();
+});
+
+// Close the status dropdown on outside click or Escape
+document.addEventListener('click', (e) => {
+  if (statusMenuEl && !statusMenuEl.contains(e.target)) {
+    closeStatusMenu();
+  }
+});
+document.addEventListener('keydown', (e) => {
+  if (e.key !== 'Escape') return;
+
+  if (!shortcutsModal.classList.contains('hidden')) {
+    e.preventDefault();
+    shortcutsModal.classList.add('hidden');
+  } else if (!taskDrawer.classList.contains('hidden') && snoozeModal.classList.contains('hidden')) {
+    e.preventDefault();
+    closeTaskDrawer();
+  } else if (statusMenuEl) {
+    closeStatusMenu();
+  } else if (selectedTaskIds.size > 0 && snoozeModal.classList.contains('hidden')) {
+    e.preventDefault();
+    clearSelection();
+  }
+});
+
+// Single-key shortcuts for the picked row (see the ? cheat sheet). They are
+// off while typing and while a modal or the status menu is open.
+const KEY_SHORTCUTS = {
+  j: () => moveActiveTask(1),
+  ArrowDown: () => moveActiveTask(1),
+  k: () => moveActiveTask(-1),
+  ArrowUp: () => moveActiveTask(-1),
+  x: completeActiveTask,
+  s: snoozeActiveTask,
+  t: toggleActiveTaskTimer,
+  o: openActiveTask,
+  Enter: showActiveTaskDetails,
+  '/': () => searchInput.focus()
+};
+
+document.addEventListener('keydown', (e) => {
+  if (e.ctrlKey || e.metaKey || e.altKey) return;
+  if (e.target.closest('input, select, textarea')) return;
+  if (e.key === 'Enter' && e.target.closest('button, a')) return; // Let Enter press it
+  if (statusMenuEl || !snoozeModal.classList.contains('hidden')) return;
+  if (!taskDrawer.classList.contains('hidden')) return;
+
+  if (e.key === '?') {
+    e.preventDefault();
+    shortcutsModal.classList.toggle('hidden');
+    return;
+  }
+  if (!shortcutsModal.classList.contains('hidden')) return;
+
+  const shortcut = KEY_SHORTCUTS[e.key];
+  if (shortcut) {
+    e.preventDefault();
+    shortcut();
+  }
+});
+
+// Bulk selection and actions
+selectBtn.addEventListener('click', () => {
+  const visibleIds = getVisibleTaskIds();
+  if (visibleIds.length > 0 && visibleIds.every(id => selectedTaskIds.has(id))) {
+    clearSelection();
+  } else {
+    addToSelection(visibleIds);
+  }
+});
+bulkSelectAllBtn.addEventListener('click', () => addToSelection(getVisibleTaskIds()));
+bulkClearBtn.addEventListener('click', clearSelection);
+bulkCompleteBtn.addEventListener('click', bulkComplete);
+bulkSnoozeBtn.addEventListener('click', () => {
+  const tasks = getSelectedTasks();
+  openSnoozeModal(tasks.map(task => task.id), `${formatTaskCount(tasks.length)} selected`);
+});
+bulkStatusBtn.addEventListener('click', (e) => {
+  e.stopPropagation();
+  if (statusMenuEl) {
+    closeStatusMenu();
+    return;
+  }
+  openStatusMenu(bulkStatusBtn, getSelectedTasks(), bulkChangeStatus);
+});
+bulkPrioritySelect.addEventListener('change', () => {
+  const value = bulkPrioritySelect.value;
+  bulkPrioritySelect.value = '';
+  if (!value) return;
+
+  const level = value === 'none' ? null : PRIORITY_LEVELS.find(p => String(p.id) === value);
+  bulkChangePriority(level);
+});
+
+// Undo toast
+toastUndoBtn.addEventListener('click', () => {
+  const undo = pendingUndo;
+  hideToast();
+  if (undo) {
+    undo();
+  }
+});
 
 // Snooze modal event listeners
 snoozeCancel.addEventListener('click', closeSnoozeModal);
-snoozeOptions.forEach(btn => {
-  btn.addEventListener('click', () => {
-    const days = parseInt(btn.dataset.days, 10);
-    snoozeTask(currentSnoozeTaskId, days);
-  });
+snoozeDate.addEventListener('change', updateCustomSnoozeHint);
+snoozeTime.addEventListener('change', updateCustomSnoozeHint);
+snoozeCustomBtn.addEventListener('click', () => {
+  if (!getCustomSnoozeTarget(currentSnoozeTaskIds[0])) {
+    alert('Please pick a date in the future.');
+    return;
+  }
+  applySnooze(taskId => getCustomSnoozeTarget(taskId));
 });
 
+// Re-select from the snapshot; the background fetches overdue tasks if needed
+function updateTaskQuery() {
+  if (snapshot) {
+    applySnapshot(snapshot);
+  }
+  sendToTaskPort({ type: 'SUBSCRIBE', query: getTaskQuery() });
+}
+
+function updateWindowUI() {
+  const isCustom = windowSelect.value === 'custom';
+  customStartInput.classList.toggle('hidden', !isCustom);
+  customEndInput.classList.toggle('hidden', !isCustom);
+
+  const labels = WINDOW_LABELS[windowSelect.value];
+  viewTitleEl.textContent = labels.title;
+  noTasksMessageEl.textContent = labels.empty;
+}
+
 function openSettings() {
   chrome.runtime.openOptionsPage();
 }
@@ -198,155 +579,367 @@ function showTasks() {
   tasksContainerEl.classList.remove('hidden');
 }
 
-async function loadTasks() {
-  showLoading();
+// Ask the background worker for fresh tasks; they arrive as a SNAPSHOT message
+function loadTasks() {
+  if (!snapshot) {
+    showLoading();
+  }
+  sendToTaskPort({ type: 'REFRESH' });
+}
 
-  try {
-    // Get the current user
-    const userResponse = await fetchAPI('/user');
-    const currentUserId = userResponse.user.id;
+// Query used to select this view's tasks from the snapshot
+function getTaskQuery() {
+  return {
+    window: windowSelect.value,
+    customStart: customStartInput.value,
+    customEnd: customEndInput.value,
+    includeOverdue: overdueToggle.checked,
+    includeInProgress: inProgressToggle.checked,
+    includeCompleted: completedToggle.checked,
+    members: settings.features.teamView ? teamView : undefined
+  };
+}
 
-    // Get the user's teams (workspaces)
-    const teamsResponse = await fetchAPI('/team');
-    teams = teamsResponse.teams || [];
+// Subscribe to the background-owned task snapshot. The background worker can
+// be restarted while the popup is open, so reconnect lazily on the next send.
+function connectTaskPort() {
+  taskPort = chrome.runtime.connect({ name: TASK_PORT_NAME });
+  taskPort.onMessage.addListener(handleTaskPortMessage);
+  taskPort.onDisconnect.addListener(() => {
+    taskPort = null;
+  });
+  taskPort.postMessage({ type: 'SUBSCRIBE', query: getTaskQuery(), refresh: true });
+}
 
-    if (teams.length === 0) {
-      showError('No workspaces found.');
-      return;
+function sendToTaskPort(message) {
+  if (!taskPort) {
+    connectTaskPort();
+    if (message.type === 'SUBSCRIBE' || message.type === 'REFRESH') {
+      return; // Connecting already subscribed and asked for a refresh
     }
+  }
+  taskPort.postMessage(message);
+}
 
-    // Fetch spaces for each team to build space name lookup
-    spaces = {};
-    for (const team of teams) {
-      try {
-        const spacesResponse = await fetchAPI(`/team/${team.id}/space`);
-        if (spacesResponse.spaces) {
-          spacesResponse.spaces.forEach(space => {
-            spaces[space.id] = space.name;
-          });
-        }
-      } catch (err) {
-        console.error(`Error fetching spaces for team ${team.name}:`, err);
-      }
-    }
+function handleTaskPortMessage(message) {
+  if (message.type === 'SNAPSHOT') {
+    refreshBtn.classList.remove('refreshing');
+    applySnapshot(message.snapshot);
+  } else if (message.type === 'REFRESH_STARTED') {
+    refreshBtn.classList.add('refreshing');
+  } else if (message.type === 'REFRESH_FAILED') {
+    refreshBtn.classList.remove('refreshing');
+    handleRefreshError(message.error);
+  }
+}
+
+function applySnapshot(newSnapshot) {
+  snapshot = newSnapshot;
+
+  // No snapshot yet: the first refresh is still running
+  if (!snapshot) {
+    showLoading();
+    return;
+  }
 
-    // Populate workspace filter
-    populateWorkspaceFilter();
+  teams = snapshot.teams;
+  spaces = snapshot.spaces;
+  parentTasks = snapshot.parentTasks;
 
-    // Get today's date range
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const todayStart = today.getTime();
+  if (teams.length === 0) {
+    showError('No workspaces found.');
+    return;
+  }
 
-    const todayEnd = new Date(today);
-    todayEnd.setHours(23, 59, 59, 999);
-    const todayEndMs = todayEnd.getTime();
+  populateWorkspaceFilter();
+  renderMemberPicker();
 
-    // Check if we should include overdue tasks
-    const includeOverdue = settings.features.overdue || overdueToggle.checked;
+  allTasks = withUnsyncedTasks(selectTasks(snapshot, getTaskQuery()));
+  renderTasks(allTasks);
 
-    // Check if we should include completed tasks
-    const includeCompleted = completedToggle.checked;
+  truncatedNoticeEl.classList.toggle('hidden', !snapshot.truncated);
+  staleNoticeEl.classList.add('hidden');
+  renderCompletedCount(snapshot.completedToday);
+  refreshBtn.title = `Refresh (updated ${formatSyncTime(snapshot.fetchedAt)})`;
+}
 
-    // Fetch tasks
-    allTasks = [];
+function handleRefreshError(error) {
+  console.error('Error loading tasks:', error);
 
-    for (const team of teams) {
-      try {
-        let url;
-        const includeClosed = includeCompleted ? 'true' : 'false';
-        if (includeOverdue) {
-          url = `/team/${team.id}/task?assignees[]=${currentUserId}&due_date_lt=${todayEndMs + 1}&include_closed=${includeClosed}&subtasks=true`;
-        } else {
-          url = `/team/${team.id}/task?assignees[]=${currentUserId}&due_date_gt=${todayStart - 1}&due_date_lt=${todayEndMs + 1}&include_closed=${includeClosed}&subtasks=true`;
-        }
+  if (error.name === 'AuthError') {
+    showError('Invalid API key. Please check your settings.');
+  } else if (!snapshot) {
+    showError(`Failed to load tasks: ${error.message}`);
+  } else {
+    // Keep showing the cached tasks, but say how old they are
+    const reason = error.name === 'NetworkError' ? 'Offline' : 'Refresh failed';
+    staleNoticeEl.textContent = `${reason}: showing tasks from ${formatSyncTime(snapshot.fetchedAt)}.`;
+    staleNoticeEl.classList.remove('hidden');
+  }
+}
 
-        const tasksResponse = await fetchAPI(url);
+// Keep rows with unsynced changes visible (e.g. a completion queued while
+// offline) so their pending or failed state can be shown
+function withUnsyncedTasks(tasks) {
+  const shownIds = new Set(tasks.map(task => task.id));
 
-        if (tasksResponse.tasks) {
-          const filteredTasks = tasksResponse.tasks.filter(task => {
-            if (!task.due_date) return false;
-            const dueDate = parseInt(task.due_date, 10);
-            if (includeOverdue) {
-              return dueDate <= todayEndMs;
-            } else {
-              return dueDate >= todayStart && dueDate <= todayEndMs;
-            }
-          });
-
-          filteredTasks.forEach(task => {
-            task.teamName = team.name;
-            task.teamId = team.id;
-            task.isOverdue = parseInt(task.due_date, 10) < todayStart;
-            task.isCompleted = task.status?.type === 'closed';
-            allTasks.push(task);
-          });
-        }
-      } catch (err) {
-        console.error(`Error fetching tasks for team ${team.name}:`, err);
-      }
+  outbox.forEach(entry => {
+    if (shownIds.has(entry.taskId)) return;
+
+    const task = snapshot.tasks.find(t => t.id === entry.taskId);
+    if (task) {
+      tasks.push({
+        ...task,
+        isOverdue: isTaskOverdue(task, Date.now(), getSnapshotTimeZone(snapshot)),
+        isCompleted: isTaskCompleted(task)
+      });
+      shownIds.add(task.id);
     }
+  });
 
-    // Fetch parent task names for subtasks
-    parentTasks = {};
-    const parentIds = [...new Set(allTasks.filter(t => t.parent).map(t => t.parent))];
-    await Promise.all(parentIds.map(async (parentId) => {
-      try {
-        const parentTask = await fetchAPI(`/task/${parentId}`);
-        if (parentTask && parentTask.name) {
-          parentTasks[parentId] = parentTask.name;
-        }
-      } catch (err) {
-        console.error(`Error fetching parent task ${parentId}:`, err);
-      }
-    }));
+  return tasks;
+}
 
-    // Load completed today count if enabled
-    if (settings.features.completedCount) {
-      loadCompletedCount(currentUserId, todayStart, todayEndMs);
-    }
+// Snapshot fields used to detect conflicting changes when replaying
+function getTaskBaseline(taskId) {
+  const task = snapshot?.tasks.find(t => t.id === taskId);
+  if (!task) return null;
+
+  return {
+    date_updated: task.date_updated,
+    due_date: task.due_date,
+    status: task.status?.status,
+    priority: task.priority?.priority ?? null,
+    time_estimate: task.time_estimate ?? null
+  };
+}
 
-    renderTasks(allTasks);
+// Tell the background worker about a change we made, so the snapshot (and
+// every other view) reflects it before the next refresh
+function patchTask(taskId, changes) {
+  // Apply locally too, so the list updates without waiting for the round trip
+  snapshot = applyTaskPatch(snapshot, taskId, changes);
+  if (snapshot) {
+    applySnapshot(snapshot);
+  }
 
-    // Update badge
-    chrome.runtime.sendMessage({ type: 'UPDATE_BADGE' });
+  chrome.runtime.sendMessage({ type: 'TASK_PATCHED', taskId, changes });
+}
 
-  } catch (err) {
-    console.error('Error loading tasks:', err);
-    if (err.message.includes('401')) {
-      showError('Invalid API key. Please check your settings.');
-    } else {
-      showError(`Failed to load tasks: ${err.message}`);
-    }
+function renderCompletedCount(completedCount) {
+  if (settings.features.completedCount && completedCount > 0) {
+    completedCountEl.textContent = `${completedCount} completed`;
+    completedCountEl.classList.remove('hidden');
+  } else {
+    completedCountEl.classList.add('hidden');
   }
 }
 
-async function loadCompletedCount(userId, todayStart, todayEnd) {
+function formatSyncTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// Remember the team selection (the badge and notifications may follow it)
+function updateTeamView(newTeamView) {
+  teamView = newTeamView;
+  renderMemberPicker();
+  updateTaskQuery();
+  saveTeamView();
+}
+
+async function saveTeamView() {
+  if (JSON.stringify(settings.teamView) === JSON.stringify(teamView)) return;
+
   try {
-    let completedCount = 0;
-
-    for (const team of teams) {
-      try {
-        const response = await fetchAPI(
-          `/team/${team.id}/task?assignees[]=${userId}&date_done_gt=${todayStart}&date_done_lt=${todayEnd + 1}&include_closed=true&subtasks=true`
-        );
-
-        if (response.tasks) {
-          completedCount += response.tasks.filter(t => t.status?.type === 'closed').length;
-        }
-      } catch (err) {
-        console.error(`Error fetching completed tasks for team ${team.name}:`, err);
-      }
+    settings = { ...(await loadSettings()), teamView };
+    await chrome.storage.sync.set({ settings });
+    if (settings.teamAlerts) {
+      chrome.runtime.sendMessage({ type: 'UPDATE_BADGE' });
     }
+  } catch (err) {
+    console.error('Error saving team view:', err);
+  }
+}
 
-    if (completedCount > 0) {
-      completedCountEl.textContent = `${completedCount} completed`;
-      completedCountEl.classList.remove('hidden');
-    } else {
-      completedCountEl.classList.add('hidden');
-    }
+// Workspace members as toggleable chips, shown in 'selected' mode
+function renderMemberPicker() {
+  const show = settings.features.teamView && teamView.mode === 'selected';
+  memberPicker.classList.toggle('hidden', !show);
+  if (!show || !snapshot) return;
+
+  memberPicker.innerHTML = (snapshot.members || [])
+    .map(member => {
+      const id = String(member.id);
+      const name = String(member.id) === String(snapshot.userId) ? `${member.username} (you)` : member.username;
+      return `
+        <button class="member-chip ${teamView.userIds.includes(id) ? 'selected' : ''}" data-user-id="${escapeHtml(id)}">
+          ${renderAvatar(member)}
+          <span>${escapeHtml(name || '')}</span>
+        </button>
+      `;
+    })
+    .join('');
+}
+
+// Chips for each filter dimension, built from the tasks the query selected
+function renderFilterPanel() {
+  const activeCount = countActiveFilters(taskFilters);
+  filterPanelBtn.textContent = activeCount > 0 ? `Filters (${activeCount})` : 'Filters';
+  filterPanelBtn.classList.toggle('active', activeCount > 0);
+  if (filterPanelEl.classList.contains('hidden')) return;
+
+  const options = getTaskFilterOptions(allTasks, spaces, taskFilters);
+  const sections = TASK_FILTER_DIMENSIONS
+    .filter(({ key }) => options[key].length > 0)
+    .map(({ key, label }) => `
+      <div class="filter-section">
+        <span class="filter-section-label">${label}</span>
+        <div class="filter-chips">
+          ${options[key].map(option => `
+            <button class="filter-chip ${taskFilters[key].includes(option.value) ? 'selected' : ''}"
+              data-dimension="${key}" data-value="${escapeHtml(option.value)}">
+              ${option.color ? `<span class="filter-chip-dot" style="background: ${toCssColor(option.color, '#ccc')}"></span>` : ''}
+              ${escapeHtml(option.label || '')}
+            </button>
+          `).join('')}
+        </div>
+      </div>
+    `);
+
+  if (sections.length === 0) {
+    filterPanelEl.innerHTML = '<span class="filter-section-label">No tasks to filter</span>';
+    return;
+  }
+
+  filterPanelEl.innerHTML = sections.join('') +
+    (activeCount > 0 ? '<button class="bulk-link" data-filter-action="clear">Clear filters</button>' : '');
+}
+
+// ClickUp colors are hex strings; anything else falls back
+function toCssColor(color, fallback) {
+  return /^#[0-9a-f]{3,8}$/i.test(color || '') ? color : fallback;
+}
+
+// Profile picture, or initials on the member's color
+function renderAvatar(user) {
+  const name = escapeHtml(user.username || '');
+  if (user.profilePicture) {
+    return `<img class="avatar" src="${escapeHtml(user.profilePicture)}" alt="${name}" title="${name}">`;
+  }
+
+  const initials = user.initials || (user.username || '?').slice(0, 2).toUpperCase();
+  return `<span class="avatar" style="background: ${toCssColor(user.color, '#7b68ee')}" title="${name}">${escapeHtml(initials)}</span>`;
+}
+
+// The popup's filter bar as a saved-view state (lib/saved-views.js)
+function getViewState() {
+  return normalizeViewState({
+    window: windowSelect.value,
+    customStart: customStartInput.value,
+    customEnd: customEndInput.value,
+    workspace: workspaceId,
+    filters: taskFilters,
+    sort: sortSelect.value,
+    grouping: groupingToggle.checked,
+    includeOverdue: overdueToggle.checked,
+    includeInProgress: inProgressToggle.checked,
+    includeCompleted: completedToggle.checked,
+    members: teamView
+  });
+}
+
+// Set the filter bar from a view state. Callers re-query with updateTaskQuery().
+function applyViewState(state) {
+  const view = normalizeViewState(state);
+
+  windowSelect.value = view.window;
+  customStartInput.value = view.customStart;
+  customEndInput.value = view.customEnd;
+  workspaceId = view.workspace;
+  workspaceFilter.value = view.workspace;
+  taskFilters = { ...view.filters };
+  sortSelect.value = view.sort;
+  groupingToggle.checked = view.grouping;
+  overdueToggle.checked = view.includeOverdue;
+  inProgressToggle.checked = view.includeInProgress;
+  completedToggle.checked = view.includeCompleted;
+  updateWindowUI();
+
+  if (settings.features.teamView) {
+    teamView = { ...view.members };
+    memberModeSelect.value = teamView.mode;
+    renderMemberPicker();
+    saveTeamView();
+  }
+
+  renderViewChips();
+}
+
+// One chip per saved view; the view matching the filter bar is highlighted
+function renderViewChips() {
+  const current = getViewState();
+  const activeView = savedViews.views.find(view => isSameViewState(view.state, current));
+
+  viewChipsEl.innerHTML = savedViews.views.map(view => `
+    <button class="view-chip ${view === activeView ? 'active' : ''}" data-view-id="${escapeHtml(view.id)}">
+      ${view.id === savedViews.defaultViewId ? '<span class="view-default" title="Default view">★</span>' : ''}
+      ${escapeHtml(view.name)}
+    </button>
+  `).join('');
+
+  if (activeView) {
+    const isDefault = activeView.id === savedViews.defaultViewId;
+    viewChipsEl.insertAdjacentHTML('beforeend', `
+      <span class="view-actions">
+        <button class="bulk-link" data-view-action="default" data-view-id="${escapeHtml(activeView.id)}">
+          ${isDefault ? 'Unset default' : 'Set default'}
+        </button>
+        <button class="bulk-link" data-view-action="delete" data-view-id="${escapeHtml(activeView.id)}">Delete</button>
+      </span>
+    `);
+  }
+}
+
+// Save the filter bar as a named view; reusing a name overwrites that view
+async function saveCurrentView() {
+  const name = prompt('Name this view:')?.trim();
+  if (!name) return;
+
+  const existing = savedViews.views.find(view => view.name.toLowerCase() === name.toLowerCase());
+  if (existing && !confirm(`Replace the view "${existing.name}"?`)) return;
+  if (!existing && savedViews.views.length >= MAX_SAVED_VIEWS) {
+    alert(`You can save up to ${MAX_SAVED_VIEWS} views. Delete one first.`);
+    return;
+  }
+
+  const view = createSavedView(name, getViewState());
+  const views = existing
+    ? savedViews.views.map(v => (v.id === existing.id ? { ...view, id: existing.id } : v))
+    : [...savedViews.views, view];
+  await updateSavedViews({ ...savedViews, views });
+}
+
+function toggleDefaultView(view) {
+  const defaultViewId = savedViews.defaultViewId === view.id ? null : view.id;
+  return updateSavedViews({ ...savedViews, defaultViewId });
+}
+
+async function deleteSavedView(view) {
+  if (!confirm(`Delete the view "${view.name}"?`)) return;
+
+  const views = savedViews.views.filter(v => v.id !== view.id);
+  const defaultViewId = savedViews.defaultViewId === view.id ? null : savedViews.defaultViewId;
+  await updateSavedViews({ views, defaultViewId });
+}
+
+async function updateSavedViews(newSavedViews) {
+  try {
+    await saveSavedViews(newSavedViews);
+    savedViews = newSavedViews;
+    renderViewChips();
   } catch (err) {
-    console.error('Error loading completed count:', err);
+    console.error('Error saving views:', err);
+    alert(`Failed to save views: ${err.message}`);
   }
 }
 
@@ -358,62 +951,87 @@ function populateWorkspaceFilter() {
     option.textContent = team.name;
     workspaceFilter.appendChild(option);
   });
-}
-
-async function fetchAPI(endpoint) {
-  const response = await fetch(`${API_BASE}${endpoint}`, {
-    headers: {
-      'Authorization': apiKey,
-      'Content-Type': 'application/json'
-    }
-  });
-
-  if (!response.ok) {
-    throw new Error(`API error: ${response.status}`);
-  }
 
-  return response.json();
+  // Keep the selection across snapshot updates; a saved view's workspace may
+  // no longer be available
+  workspaceFilter.value = teams.some(team => team.id === workspaceId) ? workspaceId : 'all';
 }
 
 function renderTasks(tasks) {
   showTasks();
   tasksListEl.innerHTML = '';
 
-  // Apply workspace filter
-  const selectedWorkspace = workspaceFilter.value;
-  let filteredTasks = tasks;
-  if (selectedWorkspace !== 'all') {
-    filteredTasks = tasks.filter(t => t.teamId === selectedWorkspace);
+  renderViewChips();
+  renderFilterPanel();
+
+  // Apply workspace and panel filters
+  let filteredTasks = tasks.filter(task => matchesTaskFilters(task, taskFilters));
+  if (workspaceFilter.value !== 'all') {
+    filteredTasks = filteredTasks.filter(t => t.teamId === workspaceFilter.value);
   }
 
-  // Apply sorting
-  const sortBy = sortSelect.value;
-  filteredTasks = sortTasks(filteredTasks, sortBy);
+  // Search results are ranked by match; otherwise apply sorting
+  const searchQuery = searchInput.value.trim();
+  searchMatches = new Map();
+  if (searchQuery) {
+    const results = searchTasks(filteredTasks, searchQuery, getSearchFields);
+    results.forEach(({ task, matches }) => searchMatches.set(task.id, matches));
+    filteredTasks = results.map(({ task }) => task);
+  } else {
+    filteredTasks = sortTasks(filteredTasks, sortSelect.value);
+  }
+
+  // Drop selected tasks that are no longer shown
+  const shownIds = new Set(filteredTasks.map(task => task.id));
+  selectedTaskIds.forEach(id => {
+    if (!shownIds.has(id)) selectedTaskIds.delete(id);
+  });
+  updateBulkBar();
+
+  // The count says how many tasks the workspace and panel filters and the search hide
+  const isFiltered = filteredTasks.length < tasks.length;
+  taskCountEl.textContent = isFiltered
+    ? `${filteredTasks.length} of ${formatTaskCount(tasks.length)}`
+    : formatTaskCount(filteredTasks.length);
 
   if (filteredTasks.length === 0) {
+    if (searchQuery) {
+      noTasksMessageEl.textContent = `No tasks match "${searchQuery}".`;
+    } else {
+      noTasksMessageEl.textContent = isFiltered
+        ? 'No tasks match the current filters.'
+        : WINDOW_LABELS[windowSelect.value].empty;
+    }
     noTasksEl.classList.remove('hidden');
-    taskCountEl.textContent = '0 tasks';
     totalTimeEl.textContent = '';
     return;
   }
 
   noTasksEl.classList.add('hidden');
-  taskCountEl.textContent = `${filteredTasks.length} task${filteredTasks.length !== 1 ? 's' : ''}`;
 
   // Calculate total time estimate
   const totalMs = filteredTasks.reduce((sum, task) => sum + (task.time_estimate || 0), 0);
   const totalFormatted = formatTimeEstimate(totalMs);
   totalTimeEl.textContent = totalFormatted ? `Total: ${totalFormatted}` : '';
 
-  // Render tasks (grouped or flat)
-  if (settings.features.grouping) {
-    renderGroupedTasks(filteredTasks);
+  // Render tasks: by day for multi-day windows, else by list or flat. Search
+  // results stay flat, in rank order.
+  if (!searchQuery && isMultiDayWindow(getTaskQuery(), Date.now(), getSnapshotTimeZone(snapshot))) {
+    renderTaskGroups(groupTasksByDay(filteredTasks), 'day');
+  } else if (!searchQuery && groupingToggle.checked) {
+    renderTaskGroups(groupTasksByList(filteredTasks), 'list');
   } else {
     filteredTasks.forEach(task => {
       const taskEl = createTaskElement(task);
       tasksListEl.appendChild(taskEl);
     });
   }
+
+  // While searching, Enter acts on the best match unless another row was picked
+  if (searchQuery && !shownIds.has(activeTaskId)) {
+    activeTaskId = filteredTasks[0].id;
+  }
+  setActiveTask(shownIds.has(activeTaskId) ? activeTaskId : null);
 }
 
 function sortTasks(tasks, sortBy) {
@@ -453,8 +1071,8 @@ function sortTasks(tasks, sortBy) {
   return sorted;
 }
 
-function renderGroupedTasks(tasks) {
-  // Group by list
+// [{ label, tasks }] by list name
+function groupTasksByList(tasks) {
   const groups = {};
   tasks.forEach(task => {
     const listName = task.list?.name || 'No List';
@@ -464,22 +1082,78 @@ function renderGroupedTasks(tasks) {
     groups[listName].push(task);
   });
 
-  // Render each group
-  Object.keys(groups).sort().forEach(listName => {
+  return Object.keys(groups).sort().map(label => ({ label, tasks: groups[label] }));
+}
+
+// [{ label, tasks }] by due day, overdue tasks first, then tasks in progress
+// that are due outside the window
+function groupTasksByDay(tasks) {
+  const timeZone = getSnapshotTimeZone(snapshot);
+  const groups = new Map();
+  const overdue = tasks.filter(task => task.isOverdue);
+  const inProgress = tasks.filter(task => task.isInProgress);
+
+  tasks
+    .filter(task => !task.isOverdue && !task.isInProgress)
+    .forEach(task => {
+      const day = getDueDayKey(task, timeZone);
+      if (!groups.has(day)) {
+        groups.set(day, []);
+      }
+      groups.get(day).push(task);
+    });
+
+  const days = [...groups.keys()].sort()
+    .map(day => ({ label: formatDayLabel(day, timeZone), tasks: groups.get(day) }));
+
+  return [
+    ...(overdue.length > 0 ? [{ label: 'Overdue', tasks: overdue }] : []),
+    ...(inProgress.length > 0 ? [{ label: 'In progress', tasks: inProgress }] : []),
+    ...days
+  ];
+}
+
+// "Today", "Tomorrow" or e.g. "Wed, Oct 21" for a 'YYYY-MM-DD' day
+function formatDayLabel(day, timeZone) {
+  const today = getDayKey(Date.now(), timeZone);
+  if (day === today) return 'Today';
+  if (day === shiftDayKey(today, 1)) return 'Tomorrow';
+  return formatDayKey(day, { weekday: 'short' });
+}
+
+// e.g. "Oct 21" for a 'YYYY-MM-DD' day, with extra toLocaleDateString options
+function formatDayKey(day, options = {}) {
+  // Noon UTC of the day formatted in UTC always names that same day
+  return new Date(`${day}T12:00:00Z`).toLocaleDateString([], { timeZone: 'UTC', month: 'short', day: 'numeric', ...options });
+}
+
+// `kind` ('list' or 'day') only words the header's Select button
+function renderTaskGroups(groups, kind) {
+  groups.forEach(({ label, tasks }) => {
     const groupEl = document.createElement('div');
     groupEl.className = 'task-group';
 
     const headerEl = document.createElement('div');
     headerEl.className = 'task-group-header';
     headerEl.innerHTML = `
-      <span>${escapeHtml(listName)}</span>
-      <span class="group-count">${groups[listName].length}</span>
+      <span>${escapeHtml(label)}</span>
+      <span class="group-count">${tasks.length}</span>
+      <button class="group-select" title="Select the tasks in this ${kind}">Select</button>
     `;
+    headerEl.querySelector('.group-select').addEventListener('click', () => {
+      const groupIds = tasks.map(task => task.id);
+      if (groupIds.every(id => selectedTaskIds.has(id))) {
+        groupIds.forEach(id => selectedTaskIds.delete(id));
+        updateSelection();
+      } else {
+        addToSelection(groupIds);
+      }
+    });
     groupEl.appendChild(headerEl);
 
     const tasksEl = document.createElement('div');
     tasksEl.className = 'tasks-list';
-    groups[listName].forEach(task => {
+    tasks.forEach(task => {
       const taskEl = createTaskElement(task);
       tasksEl.appendChild(taskEl);
     });
@@ -502,6 +1176,10 @@ function createTaskElement(task) {
     div.classList.add('completed');
   }
 
+  if (selectedTaskIds.has(task.id)) {
+    div.classList.add('selected');
+  }
+
   // Priority info
   const priority = task.priority ? task.priority.priority : null;
   const priorityClass = priority ? `priority-${priority}` : 'priority-normal';
@@ -517,16 +1195,22 @@ function createTaskElement(task) {
   // Time estimate
   const timeEstimate = formatTimeEstimate(task.time_estimate);
 
-  // Due time display
+  // Due time display (tasks in progress show their date range instead).
+  // Clicking it edits the due date; all-day and undated tasks show it on hover.
   let dueTimeHtml = '';
-  if (settings.features.dueTime && task.due_date) {
+  if (settings.features.dueTime && !task.isInProgress && !task.isCompleted) {
+    dueTimeHtml = task.due_date
+      ? '<button class="task-due-time inline-edit-empty" title="Change due date">All day</button>'
+      : '<button class="task-due-time inline-edit-empty" title="Set due date">Due date</button>';
+  }
+  if (settings.features.dueTime && task.due_date && !task.isInProgress) {
     const dueDate = new Date(parseInt(task.due_date, 10));
     const now = new Date();
     // Use ClickUp's due_date_time flag to check if a time was explicitly set
     const hasTime = task.due_date_time === true;
 
     if (hasTime) {
-      const timeStr = dueDate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      const timeStr = dueDate.toLocaleTimeString([], { timeZone: getSnapshotTimeZone(snapshot), hour: '2-digit', minute: '2-digit' });
       let dueClass = '';
 
       if (task.isOverdue) {
@@ -535,12 +1219,34 @@ function createTaskElement(task) {
         dueClass = 'soon';
       }
 
-      dueTimeHtml = `<span class="task-due-time ${dueClass}">${task.isOverdue ? 'Overdue' : `Due ${timeStr}`}</span>`;
+      dueTimeHtml = `<button class="task-due-time ${dueClass}" title="Change due date">${task.isOverdue ? 'Overdue' : `Due ${timeStr}`}</button>`;
     } else if (task.isOverdue) {
-      dueTimeHtml = `<span class="task-due-time overdue">Overdue</span>`;
+      dueTimeHtml = '<button class="task-due-time overdue" title="Change due date">Overdue</button>';
+    }
+  }
+
+  // Start/due range for tasks with a start date, when in-progress tasks are shown
+  let dateRangeHtml = '';
+  if (task.start_date && getTaskQuery().includeInProgress) {
+    const timeZone = getSnapshotTimeZone(snapshot);
+    const startDay = getStartDayKey(task, timeZone);
+    const dueDay = getDueDayKey(task, timeZone);
+
+    if (!dueDay) {
+      dateRangeHtml = `<span class="task-date-range">Started ${formatDayKey(startDay)}</span>`;
+    } else if (startDay !== dueDay) {
+      dateRangeHtml = `<span class="task-date-range" title="Start → due">${formatDayKey(startDay)} → ${formatDayKey(dueDay)}</span>`;
     }
   }
 
+  // Assignee avatars when showing other people's tasks
+  let assigneesHtml = '';
+  if (settings.features.teamView && teamView.mode !== 'me' && task.assignees?.length) {
+    const shown = task.assignees.slice(0, 3).map(renderAvatar).join('');
+    const more = task.assignees.length > 3 ? `<span class="more-assignees">+${task.assignees.length - 3}</span>` : '';
+    assigneesHtml = `<span class="task-assignees">${shown}${more}</span>`;
+  }
+
   // Time tracked vs estimated
   let timeTrackedHtml = '';
   if (settings.features.timeTracked && task.time_spent && task.time_estimate) {
@@ -564,27 +1270,59 @@ function createTaskElement(task) {
 
   const parentTaskName = task.parent ? parentTasks[task.parent] : null;
 
+  // Characters the search box matched, per field
+  const matches = searchMatches.get(task.id) || {};
+
   if (spaceName || folderName || breadcrumbListName || parentTaskName) {
     breadcrumbHtml = '<div class="task-breadcrumb">';
     const parts = [];
 
     if (spaceName) {
-      parts.push(`<span class="breadcrumb-item breadcrumb-space">${escapeHtml(spaceName)}</span>`);
+      parts.push(`<span class="breadcrumb-item breadcrumb-space">${highlightText(spaceName, matches.space)}</span>`);
     }
     if (folderName) {
-      parts.push(`<span class="breadcrumb-item breadcrumb-folder">${escapeHtml(folderName)}</span>`);
+      parts.push(`<span class="breadcrumb-item breadcrumb-folder">${highlightText(folderName, matches.folder)}</span>`);
     }
     if (breadcrumbListName) {
-      parts.push(`<span class="breadcrumb-item breadcrumb-list">${escapeHtml(breadcrumbListName)}</span>`);
+      parts.push(`<span class="breadcrumb-item breadcrumb-list">${highlightText(breadcrumbListName, matches.list)}</span>`);
     }
     if (parentTaskName) {
-      parts.push(`<span class="breadcrumb-item breadcrumb-parent">${escapeHtml(parentTaskName)}</span>`);
+      parts.push(`<span class="breadcrumb-item breadcrumb-parent">${highlightText(parentTaskName, matches.parent)}</span>`);
     }
 
     breadcrumbHtml += parts.join('<span class="breadcrumb-separator">›</span>');
     breadcrumbHtml += '</div>';
   }
 
+  // Custom ID and tags aren't shown on rows, except when the search matched them
+  let searchHitsHtml = '';
+  const hits = [];
+  if (matches.customId) {
+    hits.push(`<span class="task-search-hit">${highlightText(task.custom_id, matches.customId)}</span>`);
+  }
+  Object.keys(matches.tags || {}).forEach(tagName => {
+    hits.push(`<span class="task-search-hit">#${highlightText(tagName, matches.tags[tagName])}</span>`);
+  });
+  if (hits.length > 0) {
+    searchHitsHtml = `<div class="task-search-hits">${hits.join('')}</div>`;
+  }
+
+  // Offline outbox state (queued or failed actions for this task)
+  let syncHtml = '';
+  const syncState = getTaskSyncState(outbox, task.id);
+  if (syncState === 'pending') {
+    syncHtml = '<span class="task-sync pending" title="Will sync when ClickUp is reachable">Pending sync</span>';
+  } else if (syncState === 'failed') {
+    const failedEntry = outbox.find(entry => entry.taskId === task.id && entry.state === 'failed');
+    syncHtml = `
+      <span class="task-sync failed" title="${escapeHtml(failedEntry.error || '')}">Sync failed</span>
+      <button class="task-sync-btn" data-sync-action="retry">Retry</button>
+      <button class="task-sync-btn" data-sync-action="discard">Discard</button>
+    `;
+  } else if (bulkErrors.has(task.id)) {
+    syncHtml = `<span class="task-sync failed" title="${escapeHtml(bulkErrors.get(task.id))}">Update failed</span>`;
+  }
+
   // Build task actions
   let actionsHtml = '';
   if (settings.features.timeTracking || settings.features.snooze) {
@@ -627,39 +1365,115 @@ function createTaskElement(task) {
     <div class="task-main">
       <div class="task-checkbox" title="Mark as complete"></div>
       <div class="task-content">
-        <div class="task-name">${escapeHtml(task.name)}</div>
+        <div class="task-name">${highlightText(task.name, matches.name)}</div>
         ${breadcrumbHtml}
+        ${searchHitsHtml}
         <div class="task-meta">
-          <span class="task-status" style="background: ${statusColor}20; color: ${statusColor}">
+          <button class="task-status" title="Change status" style="background: ${statusColor}20; color: ${statusColor}">
             ${escapeHtml(statusName)}
-          </span>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
+              <polyline points="6 9 12 15 18 9"/>
+            </svg>
+          </button>
           ${priority ? `
-            <span class="task-priority">
+            <button class="task-priority" title="Change priority">
               <span class="priority-dot ${priorityClass}"></span>
               ${priorityLabel}
-            </span>
-          ` : ''}
+            </button>
+          ` : `
+            <button class="task-priority inline-edit-empty" title="Set priority">
+              <span class="priority-dot priority-none"></span>
+            </button>
+          `}
+          ${assigneesHtml}
           ${dueTimeHtml}
-          ${timeEstimate ? `<span class="task-time-estimate">${timeEstimate}</span>` : ''}
+          ${dateRangeHtml}
+          ${timeEstimate
+            ? `<button class="task-time-estimate" title="Change estimate">${timeEstimate}</button>`
+            : '<button class="task-time-estimate inline-edit-empty" title="Set estimate">Estimate</button>'}
           ${timeTrackedHtml}
+          ${syncHtml}
         </div>
       </div>
     </div>
     ${actionsHtml}
   `;
 
-  // Click on content to open task
-  const contentEl = div.querySelector('.task-content');
-  contentEl.addEventListener('click', () => {
-    chrome.tabs.create({ url: task.url });
+  // Click on content to open task. Shift/Ctrl/Cmd-click selects instead, as
+  // does any click while a selection is active.
+  div.addEventListener('click', (e) => {
+    if (e.shiftKey || e.ctrlKey || e.metaKey || selectedTaskIds.size > 0) {
+      toggleTaskSelection(task.id, { range: e.shiftKey });
+    } else if (e.target.closest('.task-content')) {
+      openTaskDrawer(task);
+    }
+  });
+
+  // Keep shift-click from selecting text
+  div.addEventListener('mousedown', (e) => {
+    if (e.shiftKey) e.preventDefault();
   });
 
   // Click on checkbox to complete task
   const checkboxEl = div.querySelector('.task-checkbox');
   checkboxEl.addEventListener('click', (e) => {
     e.stopPropagation();
-    completeTask(task.id, div);
-  });
+
+    if (e.shiftKey || e.ctrlKey || e.metaKey) {
+      toggleTaskSelection(task.id, { range: e.shiftKey });
+      return;
+    }
+
+    // The click that ends a long-press must not also complete the task
+    if (checkboxEl.dataset.longPressed) {
+      delete checkboxEl.dataset.longPressed;
+      return;
+    }
+    completeTask(task.id, div);
+  });
+
+  // Status pill opens the list's statuses
+  const statusEl = div.querySelector('.task-status');
+  statusEl.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (statusMenuEl && statusMenuEl.dataset.taskIds === task.id) {
+      closeStatusMenu();
+      return;
+    }
+    openStatusMenu(statusEl, [task], (status) => changeTaskStatus(task, status, div));
+  });
+
+  // Click-to-edit priority, due date and estimate
+  div.querySelector('.task-priority').addEventListener('click', (e) => {
+    e.stopPropagation();
+    openPriorityEditor(e.currentTarget, task);
+  });
+  div.querySelector('.task-due-time')?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    openDueDateEditor(e.currentTarget, task);
+  });
+  div.querySelector('.task-time-estimate').addEventListener('click', (e) => {
+    e.stopPropagation();
+    openEstimateEditor(e.currentTarget, task);
+  });
+
+  // Right-click or long-press the checkbox to pick any status
+  checkboxEl.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    openStatusMenu(checkboxEl, [task], (status) => changeTaskStatus(task, status, div));
+  });
+
+  let longPressTimer = null;
+  checkboxEl.addEventListener('pointerdown', () => {
+    longPressTimer = setTimeout(() => {
+      checkboxEl.dataset.longPressed = 'true';
+      openStatusMenu(checkboxEl, [task], (status) => changeTaskStatus(task, status, div));
+    }, LONG_PRESS_MS);
+  });
+  ['pointerup', 'pointerleave'].forEach(type => {
+    checkboxEl.addEventListener(type, () => clearTimeout(longPressTimer));
+  });
 
   // Timer button
   const timerBtn = div.querySelector('.timer-btn');
@@ -671,64 +1485,61 @@ function createTaskElement(task) {
 
     // Resume interval for persisted timers
     if (activeTimers[task.id] && !activeTimers[task.id].intervalId) {
-      activeTimers[task.id].intervalId = setInterval(() => {
-        const elapsed = getEffectiveElapsed(activeTimers[task.id]);
-        const timerText = timerBtn.querySelector('.timer-text');
-        if (timerText) {
-          timerText.textContent = formatTimer(elapsed);
-        }
-      }, 1000);
-
+      activeTimers[task.id].intervalId = setInterval(() => updateTimerText(task.id), 1000);
+    }
+    if (activeTimers[task.id]) {
       // Update display immediately
-      const timerText = timerBtn.querySelector('.timer-text');
-      if (timerText) {
-        timerText.textContent = formatTimer(getEffectiveElapsed(activeTimers[task.id]));
-      }
+      timerBtn.querySelector('.timer-text').textContent = formatTimer(getEffectiveElapsed(activeTimers[task.id]));
     }
   }
 
+  // Retry/discard failed outbox entries
+  div.querySelectorAll('.task-sync-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (btn.dataset.syncAction === 'retry') {
+        retryOutboxEntries(task.id);
+      } else {
+        discardUnsyncedChanges(task.id);
+      }
+    });
+  });
+
   // Snooze button
   const snoozeBtn = div.querySelector('.snooze-btn');
   if (snoozeBtn) {
     snoozeBtn.addEventListener('click', (e) => {
       e.stopPropagation();
-      openSnoozeModal(task.id, task.name);
+      openSnoozeModal([task.id], task.name);
     });
   }
 
   return div;
 }
 
-async function completeTask(taskId, taskElement) {
+// Complete a task using its list's done status (or `status` when the user
+// picked a closed-type status explicitly)
+async function completeTask(taskId, taskElement, status = null) {
   const checkboxEl = taskElement.querySelector('.task-checkbox');
   checkboxEl.classList.add('completing');
   taskElement.classList.add('completed');
 
-  try {
-    await fetch(`${API_BASE}/task/${taskId}`, {
-      method: 'PUT',
-      headers: {
-        'Authorization': apiKey,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        status: 'closed'
-      })
-    });
-
-    // Stop timer if running
-    if (activeTimers[taskId]) {
-      if (activeTimers[taskId].intervalId) {
-        clearInterval(activeTimers[taskId].intervalId);
-      }
-      delete activeTimers[taskId];
-      persistTimerState();
+  const task = allTasks.find(t => t.id === taskId);
 
-      // Notify background about timer state change
-      const hasActiveTimers = Object.keys(activeTimers).length > 0;
-      chrome.runtime.sendMessage({
-        type: hasActiveTimers ? 'TIMER_STARTED' : 'TIMER_STOPPED'
-      });
+  try {
+    const { entry, queued, changes, revert } = await submitCompletion(task, status);
+
+    showUndoToast('Task completed', () => undoTaskChange(
+      entry,
+      revert.payload,
+      revert.snapshotChanges,
+      'completion'
+    ));
+
+    // Offline: keep the row, marked pending, until the outbox syncs it
+    if (queued) {
+      patchTask(taskId, changes);
+      return;
     }
 
     setTimeout(() => {
@@ -737,10 +1548,13 @@ async function completeTask(taskId, taskElement) {
       taskElement.style.transition = 'all 0.3s ease';
 
       setTimeout(() => {
+        // Undone before the row finished animating away
+        if (entry.undone) return;
+
         taskElement.remove();
         allTasks = allTasks.filter(t => t.id !== taskId);
         updateTaskCount();
-        chrome.runtime.sendMessage({ type: 'UPDATE_BADGE' });
+        patchTask(taskId, changes);
       }, 300);
     }, 500);
 
@@ -752,6 +1566,414 @@ async function completeTask(taskId, taskElement) {
   }
 }
 
+// Send a completion to ClickUp (or the outbox) and stop the task's timer.
+// Resolves to { entry, queued, changes, revert }: `changes` patch the
+// snapshot, `revert` holds what undoTaskChange() needs to take it back.
+async function submitCompletion(task, status = null) {
+  const doneStatus = status || await resolveDoneStatus(task);
+  const entry = createOutboxEntry('complete', task.id, { status: doneStatus.status }, getTaskBaseline(task.id));
+  const { queued } = await runTaskAction(client, entry);
+
+  // Stop the task's timer and log the time it tracked (a synced timer
+  // would otherwise keep running in ClickUp and come back on the next sync)
+  await remoteTimerStarts[task.id];
+  const timer = activeTimers[task.id];
+  if (timer) {
+    try {
+      await logTimerEntry(client, task.id, timer);
+    } catch (err) {
+      console.error('Error stopping ClickUp timer:', err);
+    }
+
+    if (activeTimers[task.id]) {
+      clearInterval(activeTimers[task.id].intervalId);
+    }
+    delete activeTimers[task.id];
+    await persistTimerState();
+
+    // Notify background about timer state change
+    const hasActiveTimers = Object.keys(activeTimers).length > 0;
+    chrome.runtime.sendMessage({
+      type: hasActiveTimers ? 'TIMER_STARTED' : 'TIMER_STOPPED'
+    });
+  }
+
+  return {
+    entry,
+    queued,
+    changes: { status: { ...task.status, ...doneStatus } },
+    revert: { payload: { status: task.status?.status }, snapshotChanges: { status: task.status } }
+  };
+}
+
+// Look up the status a task should move to when completed. Falls back to
+// ClickUp's default 'closed' when the list's workflow can't be loaded.
+async function resolveDoneStatus(task) {
+  const fallback = { status: 'closed', type: 'closed' };
+  if (!task?.list?.id) return fallback;
+
+  try {
+    const statuses = await getListStatuses(client, task.list.id);
+    return getDoneStatus(statuses, settings.statusOverrides[task.list.id]) || fallback;
+  } catch (err) {
+    console.error(`Error loading statuses for list ${task.list.id}:`, err);
+    return fallback;
+  }
+}
+
+// Move a task to any status of its list. Closed-type statuses go through
+// the regular completion flow (animation, timer stop, undo).
+async function changeTaskStatus(task, status, taskElement) {
+  if (status.type === 'closed') {
+    completeTask(task.id, taskElement, status);
+    return;
+  }
+
+  if (status.status === task.status?.status) return;
+
+  try {
+    const { entry, changes, revert } = await submitStatusChange(task, status);
+    patchTask(task.id, changes);
+
+    showUndoToast(`Moved to ${status.status}`, () => undoTaskChange(
+      entry,
+      revert.payload,
+      revert.snapshotChanges,
+      'status change'
+    ));
+  } catch (err) {
+    console.error('Error changing status:', err);
+    alert('Failed to change status. Please try again.');
+  }
+}
+
+// Resolves to { entry, queued, changes, revert } like submitCompletion()
+async function submitStatusChange(task, status) {
+  const entry = createOutboxEntry('status', task.id, { status: status.status }, getTaskBaseline(task.id));
+  const { queued } = await runTaskAction(client, entry);
+
+  return {
+    entry,
+    queued,
+    changes: { status: { status: status.status, type: status.type, color: status.color } },
+    revert: { payload: { status: task.status?.status }, snapshotChanges: { status: task.status } }
+  };
+}
+
+// `level` is one of PRIORITY_LEVELS, or null to clear the priority.
+// Resolves to { entry, queued, changes, revert } like submitCompletion().
+async function submitPriorityChange(task, level) {
+  const entry = createOutboxEntry('priority', task.id, { priority: level ? level.id : null }, getTaskBaseline(task.id));
+  const { queued } = await runTaskAction(client, entry);
+
+  return {
+    entry,
+    queued,
+    changes: { priority: toTaskPriority(level) },
+    revert: {
+      payload: { priority: task.priority ? parseInt(task.priority.id, 10) : null },
+      snapshotChanges: { priority: task.priority || null }
+    }
+  };
+}
+
+// A PRIORITY_LEVELS entry as the task's `priority` field
+function toTaskPriority(level) {
+  return level
+    ? { id: String(level.id), priority: level.priority, color: level.color, orderindex: String(level.id) }
+    : null;
+}
+
+// `ms` is the new estimate, or null to clear it. Resolves like submitCompletion().
+async function submitEstimateChange(task, ms) {
+  const entry = createOutboxEntry('estimate', task.id, { time_estimate: ms }, getTaskBaseline(task.id));
+  const { queued } = await runTaskAction(client, entry);
+
+  return {
+    entry,
+    queued,
+    changes: { time_estimate: ms },
+    revert: {
+      payload: { time_estimate: task.time_estimate ?? null },
+      snapshotChanges: { time_estimate: task.time_estimate ?? null }
+    }
+  };
+}
+
+// Inline editors for a row's priority, due date and estimate. They open in
+// the status menu's popover, so outside clicks and Escape close them too.
+// Clicking the same chip again closes its editor.
+function openInlineEditor(anchorEl, task, field) {
+  const key = `${task.id}:${field}`;
+  if (statusMenuEl && statusMenuEl.dataset.editor === key) {
+    closeStatusMenu();
+    return null;
+  }
+  closeStatusMenu();
+
+  const menu = document.createElement('div');
+  menu.className = 'status-menu inline-editor';
+  menu.dataset.editor = key;
+  document.body.appendChild(menu);
+  statusMenuEl = menu;
+
+  const rect = anchorEl.getBoundingClientRect();
+  menu.style.top = `${rect.bottom + 4}px`;
+  menu.style.left = `${Math.max(4, Math.min(rect.left, document.body.clientWidth - 210))}px`;
+  return menu;
+}
+
+function openPriorityEditor(anchorEl, task) {
+  const menu = openInlineEditor(anchorEl, task, 'priority');
+  if (!menu) return;
+
+  const currentId = task.priority ? parseInt(task.priority.id, 10) : null;
+  [...PRIORITY_LEVELS, null].forEach(level => {
+    const item = document.createElement('button');
+    item.className = 'status-menu-item';
+    item.classList.toggle('current', (level ? level.id : null) === currentId);
+    item.innerHTML = `
+      <span class="status-menu-dot" style="background: ${level ? level.color : 'transparent'}; ${level ? '' : 'border: 1px solid #ccc;'}"></span>
+      <span>${level ? level.priority : 'No priority'}</span>
+    `;
+    item.addEventListener('click', (e) => {
+      e.stopPropagation();
+      closeStatusMenu();
+      if ((level ? level.id : null) === currentId) return;
+
+      saveInlineEdit(task, { priority: toTaskPriority(level) }, () => submitPriorityChange(task, level), {
+        message: level ? `Priority set to ${level.priority}` : 'Priority cleared',
+        label: 'priority change'
+      });
+    });
+    menu.appendChild(item);
+  });
+}
+
+function openDueDateEditor(anchorEl, task) {
+  const menu = openInlineEditor(anchorEl, task, 'due');
+  if (!menu) return;
+
+  const timeZone = getSnapshotTimeZone(snapshot);
+  const due = task.due_date ? parseInt(task.due_date, 10) : null;
+  const parts = due ? getZonedParts(due, timeZone) : null;
+  const hasTime = task.due_date_time === true;
+
+  const form = createInlineEditorForm(menu, `
+    <input type="date" class="inline-editor-date" aria-label="Due date" required
+      value="${due ? getDayKey(due, timeZone) : getDayKey(Date.now(), timeZone)}">
+    <input type="time" class="inline-editor-time" aria-label="Due time"
+      value="${hasTime ? toTimeInputValue(due, timeZone) : ''}">
+  `);
+  const dateInput = form.querySelector('.inline-editor-date');
+  const timeInput = form.querySelector('.inline-editor-time');
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+
+    const day = parseDayKey(dateInput.value);
+    if (!day) {
+      showInlineEditorError(form, 'Pick a due date.');
+      return;
+    }
+
+    // All-day tasks keep their time of day, or get 09:00 like snoozed ones
+    const time = timeInput.value
+      ? { hours: parseInt(timeInput.value.slice(0, 2), 10), minutes: parseInt(timeInput.value.slice(3, 5), 10) }
+      : (parts ? { hours: parts.hours, minutes: parts.minutes } : { hours: 9, minutes: 0 });
+    const picked = { dueDate: zonedTimeToTimestamp({ ...day, ...time }, timeZone), hasTime: Boolean(timeInput.value) };
+    const target = fitToWorkSchedule(picked, getWorkSchedule(settings, holidays), { timeZone });
+    const moved = target.dueDate !== picked.dueDate;
+
+    const startDay = getStartDayKey(task, timeZone);
+    if (startDay && getDayKey(target.dueDate, timeZone) < startDay) {
+      showInlineEditorError(form, `The due date can't be before the start date (${formatDayKey(startDay)}).`);
+      return;
+    }
+
+    closeStatusMenu();
+    if (target.dueDate === due && target.hasTime === hasTime) return;
+
+    // A due date change is a snooze as far as the outbox is concerned
+    saveInlineEdit(task, { due_date: String(target.dueDate), due_date_time: target.hasTime }, () => submitSnooze(task.id, target), {
+      message: moved ? `Outside working time, moved to ${formatSnoozeTarget(target)}` : 'Due date changed',
+      label: 'due date change'
+    });
+  });
+
+  dateInput.focus();
+}
+
+function openEstimateEditor(anchorEl, task) {
+  const menu = openInlineEditor(anchorEl, task, 'estimate');
+  if (!menu) return;
+
+  const form = createInlineEditorForm(menu, `
+    <input type="text" class="inline-editor-estimate" aria-label="Time estimate" placeholder="e.g. 1h 30m"
+      value="${escapeHtml(formatTimeEstimate(task.time_estimate) || '')}">
+  `, { clearable: Boolean(task.time_estimate) });
+  const input = form.querySelector('.inline-editor-estimate');
+
+  const save = (ms) => {
+    closeStatusMenu();
+    if (ms === (task.time_estimate ?? null)) return;
+
+    saveInlineEdit(task, { time_estimate: ms }, () => submitEstimateChange(task, ms), {
+      message: ms ? `Estimate set to ${formatTimeEstimate(ms)}` : 'Estimate cleared',
+      label: 'estimate change'
+    });
+  };
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+
+    const ms = parseTimeEstimate(input.value);
+    if (ms === null) {
+      showInlineEditorError(form, 'Enter a duration like 45m, 2h or 1h 30m.');
+      return;
+    }
+    save(ms);
+  });
+  form.querySelector('[data-action="clear"]')?.addEventListener('click', () => save(null));
+
+  input.focus();
+  input.select();
+}
+
+function createInlineEditorForm(menu, fieldsHtml, { clearable = false } = {}) {
+  const form = document.createElement('form');
+  form.className = 'inline-editor-form';
+  form.innerHTML = `
+    <div class="inline-editor-fields">${fieldsHtml}</div>
+    <div class="inline-editor-error hidden"></div>
+    <div class="inline-editor-actions">
+      ${clearable ? '<button type="button" class="bulk-link" data-action="clear">Clear</button>' : ''}
+      <button type="submit" class="btn btn-primary">Save</button>
+    </div>
+  `;
+  menu.appendChild(form);
+  return form;
+}
+
+function showInlineEditorError(form, message) {
+  const errorEl = form.querySelector('.inline-editor-error');
+  errorEl.textContent = message;
+  errorEl.classList.remove('hidden');
+}
+
+// Apply `changes` to the row right away (re-sorting the list), then save
+// them with `submit()`, which resolves like submitCompletion(). On failure
+// the task's previous values are put back.
+async function saveInlineEdit(task, changes, submit, { message, label }) {
+  const previous = {};
+  Object.keys(changes).forEach(key => {
+    previous[key] = task[key] ?? null;
+  });
+
+  patchTask(task.id, changes);
+  scrollTaskIntoView(task.id);
+
+  try {
+    const { entry, revert } = await submit();
+    showUndoToast(message, revert
+      ? () => undoTaskChange(entry, revert.payload, revert.snapshotChanges, label)
+      : null);
+  } catch (err) {
+    console.error(`Error saving ${label}:`, err);
+    patchTask(task.id, previous);
+    alert(`Failed to save the ${label}. Please try again.`);
+  }
+}
+
+function scrollTaskIntoView(taskId) {
+  const row = tasksListEl.querySelector(`.task-item[data-task-id="${CSS.escape(taskId)}"]`);
+  if (row) row.scrollIntoView({ block: 'nearest' });
+}
+
+// Dropdown of the statuses the tasks' lists share, anchored below `anchorEl`
+async function openStatusMenu(anchorEl, tasks, onSelect) {
+  closeStatusMenu();
+
+  const menu = document.createElement('div');
+  menu.className = 'status-menu';
+  menu.dataset.taskIds = tasks.map(task => task.id).join(',');
+  menu.innerHTML = '<div class="status-menu-loading">Loading statuses...</div>';
+  document.body.appendChild(menu);
+  statusMenuEl = menu;
+
+  const rect = anchorEl.getBoundingClientRect();
+  menu.style.top = `${rect.bottom + 4}px`;
+  menu.style.left = `${Math.min(rect.left, document.body.clientWidth - 180)}px`;
+
+  let statuses;
+  try {
+    statuses = await getSharedStatuses(tasks);
+  } catch (err) {
+    console.error('Error loading statuses:', err);
+    if (statusMenuEl === menu) {
+      menu.innerHTML = '<div class="status-menu-loading">Could not load statuses</div>';
+    }
+    return;
+  }
+
+  // Closed (or replaced) while loading
+  if (statusMenuEl !== menu) return;
+
+  if (statuses.length === 0) {
+    menu.innerHTML = '<div class="status-menu-loading">The selected lists share no statuses</div>';
+    return;
+  }
+
+  menu.innerHTML = '';
+  statuses.forEach(status => {
+    const item = document.createElement('button');
+    item.className = 'status-menu-item';
+    if (tasks.length === 1 && status.status === tasks[0].status?.status) {
+      item.classList.add('current');
+    }
+    item.innerHTML = `
+      <span class="status-menu-dot" style="background: ${toCssColor(status.color, '#999')}"></span>
+      <span>${escapeHtml(status.status)}</span>
+    `;
+    item.addEventListener('click', (e) => {
+      e.stopPropagation();
+      closeStatusMenu();
+      onSelect(status);
+    });
+    menu.appendChild(item);
+  });
+}
+
+// Statuses present (by name) in every task's list, in the first list's order
+async function getSharedStatuses(tasks) {
+  const listIds = [...new Set(tasks.map(task => task.list.id))];
+  const lists = await Promise.all(listIds.map(listId => getListStatuses(client, listId)));
+
+  return lists[0].filter(status => lists.every(statuses => findStatusByName(statuses, status.status)));
+}
+
+function findStatusByName(statuses, name) {
+  return statuses.find(status => status.status.toLowerCase() === name.toLowerCase());
+}
+
+function closeStatusMenu() {
+  if (statusMenuEl) {
+    statusMenuEl.remove();
+    statusMenuEl = null;
+  }
+}
+
+async function discardUnsyncedChanges(taskId) {
+  if (!confirm('Discard the changes that could not be synced to ClickUp?')) {
+    return;
+  }
+
+  await discardOutboxEntries(taskId);
+
+  // The snapshot still has our local edits; fetch the server state again
+  sendToTaskPort({ type: 'REFRESH', full: true });
+}
+
 function toggleTimer(taskId, button) {
   if (activeTimers[taskId]) {
     // Stop timer and log time
@@ -762,20 +1984,22 @@ function toggleTimer(taskId, button) {
   }
 }
 
-function startTimer(taskId, button) {
+async function startTimer(taskId, button) {
+  if (settings.features.singleTimer && Object.keys(activeTimers).length > 0) {
+    if (!(await stopOtherTimers(taskId))) return;
+    // Stopping reloads the list, which may have replaced the row
+    button = getTimerButton(taskId) || button;
+    // The shortcut may have started it meanwhile
+    if (activeTimers[taskId]) return;
+  }
+
   const startTime = Date.now();
 
   activeTimers[taskId] = {
     startTime,
     pausedDuration: 0,
     pausedAt: null,
-    intervalId: setInterval(() => {
-      const elapsed = getEffectiveElapsed(activeTimers[taskId]);
-      const timerText = button.querySelector('.timer-text');
-      if (timerText) {
-        timerText.textContent = formatTimer(elapsed);
-      }
-    }, 1000)
+    intervalId: setInterval(() => updateTimerText(taskId), 1000)
   };
 
   button.classList.add('timer-active');
@@ -787,52 +2011,94 @@ function startTimer(taskId, button) {
     <span class="timer-text">0:00</span>
   `;
 
-  // Persist timer state and notify background
-  persistTimerState();
+  // Persist timer state and notify background. Waiting for the write keeps
+  // its storage change from landing after (and undoing) the remote link.
+  const task = allTasks.find(t => t.id === taskId);
+  await persistTimerState();
+  rememberLastTimer(taskId, task?.name || '', task?.teamId);
   chrome.runtime.sendMessage({ type: 'TIMER_STARTED', taskId });
+
+  if (settings.features.timerSync && task?.teamId) {
+    // stopTimer() waits for this, so a quick stop still stops ClickUp's timer
+    const remoteStart = startRemoteTimer(client, task.teamId, taskId).then(async remote => {
+      // Look the timer up again: a storage change may have rebuilt it
+      const timer = activeTimers[taskId];
+      if (remote && timer?.startTime === startTime) {
+        timer.remote = remote;
+        await persistTimerState();
+      }
+      if (remoteTimerStarts[taskId] === remoteStart) {
+        delete remoteTimerStarts[taskId];
+      }
+      return remote;
+    });
+    remoteTimerStarts[taskId] = remoteStart;
+  }
 }
 
-async function stopTimer(taskId, button) {
-  const timer = activeTimers[taskId];
-  if (!timer) return;
+// One timer at a time: stop and log the running timers, one after another
+// and each written to storage, before another starts. Resolves to false
+// when the user keeps them, or one couldn't be stopped (stopTimer() has
+// said why).
+async function stopOtherTimers(taskId) {
+  const runningIds = Object.keys(activeTimers).filter(id => id !== taskId);
+  if (runningIds.length === 0) return true;
+
+  if (settings.timerSwitch === 'ask') {
+    const names = runningIds.map(id => `"${allTasks.find(task => task.id === id)?.name || 'another task'}"`);
+    if (!confirm(`Stop the timer on ${names.join(', ')} and log its time?`)) return false;
+  }
 
-  if (timer.intervalId) {
-    clearInterval(timer.intervalId);
+  // Look again after each stop: the shortcut or timer sync may have
+  // started another timer meanwhile
+  let id;
+  while ((id = Object.keys(activeTimers).find(other => other !== taskId))) {
+    await stopTimer(id, getTimerButton(id));
+    if (activeTimers[id]) return false;
   }
+  return true;
+}
 
-  // Calculate effective elapsed time (excluding paused time)
-  const effectiveElapsed = getEffectiveElapsed(timer);
+// The task's timer button, or null when its row isn't shown
+function getTimerButton(taskId) {
+  return tasksListEl.querySelector(`.task-item[data-task-id="${CSS.escape(taskId)}"] .timer-btn`);
+}
 
-  // Log time to ClickUp
-  try {
-    await fetch(`${API_BASE}/task/${taskId}/time`, {
-      method: 'POST',
-      headers: {
-        'Authorization': apiKey,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        duration: effectiveElapsed,
-        start: timer.startTime,
-        end: Date.now()
-      })
-    });
-  } catch (err) {
-    console.error('Error logging time:', err);
+// Look the button up each tick: re-renders replace it
+function updateTimerText(taskId) {
+  const timerText = getTimerButton(taskId)?.querySelector('.timer-text');
+  if (timerText && activeTimers[taskId]) {
+    timerText.textContent = formatTimer(getEffectiveElapsed(activeTimers[taskId]));
   }
+}
 
-  delete activeTimers[taskId];
+async function stopTimer(taskId, button) {
+  if (!activeTimers[taskId]) return;
 
-  button.classList.remove('timer-active');
-  button.innerHTML = `
-    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-      <polygon points="5 3 19 12 5 21 5 3"/>
-    </svg>
-    <span class="timer-text">Start</span>
-  `;
+  // A second click, or stopOtherTimers(), waits for the stop in progress
+  if (timerStops[taskId]) {
+    await timerStops[taskId];
+    return;
+  }
 
-  // Persist timer state and notify background
-  persistTimerState();
+  timerStops[taskId] = logAndRemoveTimer(taskId);
+  try {
+    if (!(await timerStops[taskId])) return;
+  } finally {
+    delete timerStops[taskId];
+  }
+
+  if (button) {
+    button.classList.remove('timer-active');
+    button.innerHTML = `
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <polygon points="5 3 19 12 5 21 5 3"/>
+      </svg>
+      <span class="timer-text">Start</span>
+    `;
+  }
+
+  // Notify background
   const hasActiveTimers = Object.keys(activeTimers).length > 0;
   chrome.runtime.sendMessage({
     type: hasActiveTimers ? 'TIMER_STARTED' : 'TIMER_STOPPED'
@@ -842,6 +2108,35 @@ async function stopTimer(taskId, button) {
   loadTasks();
 }
 
+// Log a timer's time to ClickUp (queued in the outbox when offline) and
+// remove it. Resolves to false when the timer keeps running: a synced timer
+// that ClickUp couldn't stop keeps running here too.
+async function logAndRemoveTimer(taskId) {
+  await remoteTimerStarts[taskId];
+
+  // Look the timer up after waiting: a storage change may have rebuilt
+  // activeTimers, or the shortcut stopped it
+  const timer = activeTimers[taskId];
+  if (!timer) return false;
+
+  try {
+    await logTimerEntry(client, taskId, timer);
+  } catch (err) {
+    console.error('Error stopping ClickUp timer:', err);
+    alert(`Could not stop the timer in ClickUp: ${err.message}`);
+    return false;
+  }
+
+  if (activeTimers[taskId]) {
+    clearInterval(activeTimers[taskId].intervalId);
+  }
+  delete activeTimers[taskId];
+
+  // Wait for the write, so a timer started next builds on the stored state
+  await persistTimerState();
+  return true;
+}
+
 function formatTimer(ms) {
   const seconds = Math.floor(ms / 1000);
   const minutes = Math.floor(seconds / 60);
@@ -853,51 +2148,169 @@ function formatTimer(ms) {
   return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
 }
 
-function openSnoozeModal(taskId, taskName) {
-  currentSnoozeTaskId = taskId;
-  snoozeTaskName.textContent = taskName;
+// Open the snooze modal for one or more tasks. Targets are resolved per task
+// (each keeps its own time of day); previews show the first task's.
+function openSnoozeModal(taskIds, title) {
+  currentSnoozeTaskIds = taskIds;
+  snoozeTaskName.textContent = title;
+
+  const original = getSnoozeOriginal(taskIds[0]);
+  snoozeOptions.innerHTML = '';
+
+  getValidSnoozePresets(settings.snoozePresets).forEach(preset => {
+    const target = resolveSnoozeRule(preset.rule, original);
+    const btn = document.createElement('button');
+    btn.className = 'snooze-option';
+    btn.innerHTML = `
+      ${escapeHtml(preset.label)}
+      <span class="snooze-preview">${escapeHtml(formatSnoozeTarget(target))}</span>
+    `;
+    btn.addEventListener('click', () => {
+      applySnooze(taskId => resolveSnoozeRule(preset.rule, getSnoozeOriginal(taskId)));
+    });
+    snoozeOptions.appendChild(btn);
+  });
+
+  // Prefill the picker with tomorrow, at the task's own time if it has one
+  const tomorrow = resolveSnoozeRule('tomorrow', original).dueDate;
+  snoozeDate.value = getDayKey(tomorrow, original.timeZone);
+  snoozeDate.min = getDayKey(Date.now(), original.timeZone);
+  snoozeTime.value = original.originalHasTime ? toTimeInputValue(tomorrow, original.timeZone) : '';
+  updateCustomSnoozeHint();
+
   snoozeModal.classList.remove('hidden');
 }
 
 function closeSnoozeModal() {
-  currentSnoozeTaskId = null;
+  currentSnoozeTaskIds = [];
   snoozeModal.classList.add('hidden');
 }
 
-async function snoozeTask(taskId, days) {
-  if (!taskId) return;
+// Snooze the modal's tasks; `getTarget(taskId)` picks each task's new due date
+function applySnooze(getTarget) {
+  const taskIds = currentSnoozeTaskIds;
+  closeSnoozeModal();
 
-  const newDueDate = new Date();
-  newDueDate.setDate(newDueDate.getDate() + days);
-  newDueDate.setHours(9, 0, 0, 0); // Set to 9 AM
+  if (taskIds.length === 1) {
+    snoozeTask(taskIds[0], getTarget(taskIds[0]));
+    return;
+  }
 
-  try {
-    await fetch(`${API_BASE}/task/${taskId}`, {
-      method: 'PUT',
-      headers: {
-        'Authorization': apiKey,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        due_date: newDueDate.getTime()
-      })
-    });
+  runBulkAction(
+    task => submitSnooze(task.id, getTarget(task.id)),
+    count => `Snoozed ${formatTaskCount(count)}`
+  );
+}
+
+// The task's current due date, the work schedule and the time zone, as
+// resolveSnoozeRule() options
+function getSnoozeOriginal(taskId) {
+  const task = snapshot?.tasks.find(t => t.id === taskId);
+  return {
+    originalDue: task?.due_date ? parseInt(task.due_date, 10) : null,
+    originalHasTime: task?.due_date_time === true,
+    schedule: getWorkSchedule(settings, holidays),
+    timeZone: getSnapshotTimeZone(snapshot)
+  };
+}
+
+// Target picked in the date/time inputs, moved onto working days and hours.
+// Without a time the task keeps its original time of day. Returns null when
+// nothing or a past time is picked.
+function getCustomSnoozeTarget(taskId) {
+  const day = parseDayKey(snoozeDate.value);
+  if (!day) return null;
+
+  const original = getSnoozeOriginal(taskId);
+  const { timeZone } = original;
+  let target;
+
+  if (snoozeTime.value) {
+    const [hours, minutes] = snoozeTime.value.split(':').map(Number);
+    target = { dueDate: zonedTimeToTimestamp({ ...day, hours, minutes }, timeZone), hasTime: true };
+  } else {
+    const defaultTime = original.schedule ? original.schedule.start : undefined;
+    target = {
+      dueDate: keepTimeOfDay(snoozeDate.value, original.originalDue, defaultTime, timeZone),
+      hasTime: original.originalHasTime
+    };
+  }
+
+  target = fitToWorkSchedule(target, original.schedule, { timeZone });
+
+  const earliest = target.hasTime ? Date.now() : getTodayRange(Date.now(), timeZone).start;
+  return target.dueDate >= earliest ? target : null;
+}
+
+// Tell the user when the picked date/time falls outside the work schedule
+function updateCustomSnoozeHint() {
+  const target = getCustomSnoozeTarget(currentSnoozeTaskIds[0]);
+  const timeZone = getSnapshotTimeZone(snapshot);
+  const moved = target && (getDayKey(target.dueDate, timeZone) !== snoozeDate.value ||
+    (snoozeTime.value && toTimeInputValue(target.dueDate, timeZone) !== snoozeTime.value));
+
+  snoozeCustomHint.textContent = moved ? `Outside working time, moves to ${formatSnoozeTarget(target)}` : '';
+  snoozeCustomHint.classList.toggle('hidden', !moved);
+}
+
+// 'HH:MM' of an instant in the zone, for time inputs
+function toTimeInputValue(timestamp, timeZone) {
+  const { hours, minutes } = getZonedParts(timestamp, timeZone);
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// "Mon, Oct 20, 09:00" (no time for all-day tasks)
+function formatSnoozeTarget(target) {
+  const options = { weekday: 'short', month: 'short', day: 'numeric', timeZone: getSnapshotTimeZone(snapshot) };
+  if (target.hasTime) {
+    options.hour = '2-digit';
+    options.minute = '2-digit';
+  }
+  return new Date(target.dueDate).toLocaleString([], options);
+}
+
+// `target` is { dueDate, hasTime } from resolveSnoozeRule()
+async function snoozeTask(taskId, target) {
+  if (!taskId || !target) return;
 
-    closeSnoozeModal();
+  // Snoozing within the shown window (e.g. later today) keeps the task in the list
+  const task = snapshot?.tasks.find(t => t.id === taskId);
+  const leavesList = !task || !matchesQuery(
+    { ...task, due_date: String(target.dueDate) },
+    getTaskQuery(),
+    Date.now(),
+    getSnapshotTimeZone(snapshot)
+  );
 
-    // Remove task from list
-    const taskEl = document.querySelector(`[data-task-id="${taskId}"]`);
-    if (taskEl) {
+  try {
+    const { entry, queued, changes, revert } = await submitSnooze(taskId, target);
+
+    if (revert) {
+      showUndoToast('Task snoozed', () => undoTaskChange(
+        entry,
+        revert.payload,
+        revert.snapshotChanges,
+        'snooze'
+      ));
+    }
+
+    // Remove task from list (offline: keep it, marked pending, until synced)
+    const taskEl = document.querySelector(`.task-item[data-task-id="${taskId}"]`);
+    if (taskEl && !queued && leavesList) {
       taskEl.style.opacity = '0';
       taskEl.style.transform = 'translateX(20px)';
       taskEl.style.transition = 'all 0.3s ease';
 
       setTimeout(() => {
+        if (entry.undone) return;
+
         taskEl.remove();
         allTasks = allTasks.filter(t => t.id !== taskId);
         updateTaskCount();
-        chrome.runtime.sendMessage({ type: 'UPDATE_BADGE' });
+        patchTask(taskId, changes);
       }, 300);
+    } else {
+      patchTask(taskId, changes);
     }
 
   } catch (err) {
@@ -906,12 +2319,658 @@ async function snoozeTask(taskId, days) {
   }
 }
 
-function updateTaskCount() {
-  const remainingTasks = tasksListEl.querySelectorAll('.task-item').length;
-  taskCountEl.textContent = `${remainingTasks} task${remainingTasks !== 1 ? 's' : ''}`;
+// Resolves to { entry, queued, changes, revert } like submitCompletion();
+// `revert` is null when the task isn't in the snapshot
+async function submitSnooze(taskId, target) {
+  if (!target) {
+    throw new Error('The snooze date is in the past');
+  }
+
+  const previous = snapshot?.tasks.find(t => t.id === taskId);
+  const entry = createOutboxEntry(
+    'snooze',
+    taskId,
+    { due_date: target.dueDate, due_date_time: target.hasTime },
+    getTaskBaseline(taskId)
+  );
+  const { queued } = await runTaskAction(client, entry);
+
+  return {
+    entry,
+    queued,
+    changes: { due_date: String(target.dueDate), due_date_time: target.hasTime },
+    revert: previous ? {
+      payload: { due_date: parseInt(previous.due_date, 10), due_date_time: previous.due_date_time === true },
+      snapshotChanges: { due_date: previous.due_date, due_date_time: previous.due_date_time }
+    } : null
+  };
+}
+
+// The parsed due date moved onto working days and hours, like a snooze;
+// null when none was typed
+function getQuickAddDue(parsed) {
+  if (!parsed.dueDate) return null;
+  return fitToWorkSchedule({ dueDate: parsed.dueDate, hasTime: parsed.hasTime }, getWorkSchedule(settings, holidays), {
+    timeZone: getSnapshotTimeZone(snapshot)
+  });
+}
+
+// Chips for the due date, priority and tags parsed from the quick-add input
+function renderQuickAddPreview() {
+  const timeZone = getSnapshotTimeZone(snapshot);
+  const parsed = parseQuickAdd(quickAddInput.value, { timeZone });
+  const due = getQuickAddDue(parsed);
+  const tokens = [];
+
+  if (due) {
+    const day = formatDayLabel(getDayKey(due.dueDate, timeZone), timeZone);
+    tokens.push(due.hasTime
+      ? `${day} ${new Date(due.dueDate).toLocaleTimeString([], { timeZone, hour: 'numeric', minute: '2-digit' })}`
+      : day);
+  }
+  if (parsed.priority) {
+    tokens.push(capitalize(PRIORITY_LEVELS.find(level => level.id === parsed.priority).priority));
+  }
+  parsed.tags.forEach(tag => tokens.push(`#${tag}`));
+
+  quickAddPreview.innerHTML = tokens.map(token => `<span class="quick-add-token">${escapeHtml(token)}</span>`).join('');
+  quickAddPreview.classList.toggle('hidden', tokens.length === 0);
+}
+
+// Create the typed task in the default list, assigned to the user, and add
+// it to the snapshot right away
+async function createQuickAddTask() {
+  if (!settings.quickAddList) {
+    if (confirm('Choose a list for new tasks in Settings first. Open Settings now?')) {
+      openSettings();
+    }
+    return;
+  }
+
+  const parsed = parseQuickAdd(quickAddInput.value, { timeZone: getSnapshotTimeZone(snapshot) });
+  if (!parsed.name) {
+    alert('Please type a name for the task.');
+    return;
+  }
+
+  const fields = { name: parsed.name, assignees: snapshot?.userId ? [snapshot.userId] : [], tags: parsed.tags };
+  if (parsed.priority) {
+    fields.priority = parsed.priority;
+  }
+  const due = getQuickAddDue(parsed);
+  if (due) {
+    fields.due_date = due.dueDate;
+    fields.due_date_time = due.hasTime;
+  }
+
+  quickAddInput.disabled = true;
+  try {
+    const created = await client.createTask(settings.quickAddList.id, fields);
+    const team = teams.find(t => String(t.id) === String(created.team_id));
+    const task = { ...created, teamId: team?.id ?? created.team_id, teamName: team?.name };
+
+    quickAddInput.value = '';
+    renderQuickAddPreview();
+
+    if (snapshot) {
+      snapshot = mergeTaskChanges(snapshot, [task]);
+      applySnapshot(snapshot);
+    }
+    chrome.runtime.sendMessage({ type: 'TASK_CREATED', task });
+
+    if (allTasks.some(t => t.id === task.id)) {
+      setActiveTask(task.id);
+      showUndoToast('Task added', null);
+    } else {
+      showUndoToast(`Task added to ${settings.quickAddList.name} (not in this view)`, null);
+    }
+  } catch (err) {
+    console.error('Error creating task:', err);
+    if (err instanceof NetworkError) {
+      alert('Could not reach ClickUp. The task was not created.');
+    } else {
+      alert(`Failed to create task: ${err.message}`);
+    }
+  } finally {
+    quickAddInput.disabled = false;
+    quickAddInput.focus();
+  }
+}
+
+// Show a task in the drawer: what the snapshot has right away, then the
+// full task (description, checklists, subtasks) and its comments
+function openTaskDrawer(task) {
+  drawerTaskId = task.id;
+  drawerTask = null;
+  drawerComments = [];
+
+  taskDrawerTitle.textContent = task.name;
+  taskDrawerTitle.title = task.name;
+  taskDrawerOpen.href = task.url;
+  taskCommentInput.value = '';
+  taskDrawerBody.innerHTML = `${renderDrawerMeta(task)}<p class="drawer-empty">Loading details...</p>`;
+  taskDrawer.classList.remove('hidden');
+
+  loadTaskDrawer(task.id);
+}
+
+function closeTaskDrawer() {
+  drawerTaskId = null;
+  drawerTask = null;
+  taskDrawer.classList.add('hidden');
+
+  if (activeTaskId) {
+    setActiveTask(activeTaskId);
+  }
+}
+
+async function loadTaskDrawer(taskId) {
+  try {
+    const [task, comments] = await Promise.all([
+      client.getTask(taskId, { include_subtasks: true, include_markdown_description: true }),
+      client.getTaskComments(taskId)
+    ]);
+    if (drawerTaskId !== taskId) return; // Closed or switched meanwhile
+
+    drawerTask = task;
+    drawerComments = comments;
+    renderTaskDrawer();
+  } catch (err) {
+    console.error('Error loading task details:', err);
+    if (drawerTaskId !== taskId) return;
+
+    const message = err instanceof NetworkError
+      ? 'Could not reach ClickUp. Details are not available offline.'
+      : 'Failed to load task details.';
+    taskDrawerBody.querySelector('.drawer-empty').textContent = message;
+  }
+}
+
+function renderTaskDrawer() {
+  const task = drawerTask;
+  const description = task.markdown_description || task.text_content || task.description || '';
+
+  taskDrawerTitle.textContent = task.name;
+  taskDrawerTitle.title = task.name;
+  taskDrawerBody.innerHTML = `
+    ${renderDrawerMeta(task)}
+    <section class="drawer-section">
+      <h4 class="drawer-section-title">Description</h4>
+      ${description.trim()
+        ? `<div class="drawer-description">${renderMarkdown(description)}</div>`
+        : '<p class="drawer-empty">No description.</p>'}
+    </section>
+    ${(task.checklists || []).map(renderDrawerChecklist).join('')}
+    ${renderDrawerSubtasks(task.subtasks || [])}
+    ${renderDrawerComments(drawerComments)}
+  `;
+}
+
+function renderDrawerMeta(task) {
+  const status = task.status?.status
+    ? `<span class="drawer-status" style="background: ${toCssColor(task.status.color, '#999')}">${escapeHtml(task.status.status)}</span>`
+    : '';
+  const place = [task.folder && !task.folder.hidden ? task.folder.name : null, task.list?.name].filter(Boolean).join(' / ');
+  const due = task.due_date ? `Due ${formatDayLabel(getDueDayKey(task, getSnapshotTimeZone(snapshot)), getSnapshotTimeZone(snapshot))}` : '';
+
+  return `
+    <div class="drawer-meta">
+      ${status}
+      ${place ? `<span>${escapeHtml(place)}</span>` : ''}
+      ${due ? `<span>${escapeHtml(due)}</span>` : ''}
+    </div>
+  `;
+}
+
+function renderDrawerChecklist(checklist) {
+  const items = checklist.items || [];
+  const resolved = items.filter(item => item.resolved).length;
+
+  return `
+    <section class="drawer-section">
+      <h4 class="drawer-section-title">
+        ${escapeHtml(checklist.name)}
+        <span class="drawer-checklist-progress">${resolved}/${items.length}</span>
+      </h4>
+      ${items.map(item => `
+        <label class="drawer-check ${item.resolved ? 'done' : ''}">
+          <input type="checkbox" data-checklist-id="${escapeHtml(checklist.id)}" data-item-id="${escapeHtml(item.id)}"
+            ${item.resolved ? 'checked' : ''}>
+          <span>${escapeHtml(item.name)}</span>
+        </label>
+      `).join('')}
+    </section>
+  `;
+}
+
+function renderDrawerSubtasks(subtasks) {
+  if (subtasks.length === 0) return '';
+
+  return `
+    <section class="drawer-section">
+      <h4 class="drawer-section-title">Subtasks</h4>
+      ${subtasks.map(subtask => `
+        <label class="drawer-check ${isTaskCompleted(subtask) ? 'done' : ''}">
+          <input type="checkbox" data-subtask-id="${escapeHtml(subtask.id)}" ${isTaskCompleted(subtask) ? 'checked' : ''}>
+          <span>${escapeHtml(subtask.name)}</span>
+        </label>
+      `).join('')}
+    </section>
+  `;
+}
+
+function renderDrawerComments(comments) {
+  const recent = comments.slice(0, DRAWER_COMMENT_LIMIT);
+
+  return `
+    <section class="drawer-section">
+      <h4 class="drawer-section-title">Comments</h4>
+      ${recent.length === 0 ? '<p class="drawer-empty">No comments yet.</p>' : ''}
+      ${recent.map(comment => `
+        <div class="drawer-comment">
+          ${renderAvatar(comment.user || {})}
+          <div class="drawer-comment-body">
+            <div class="drawer-comment-meta">
+              ${escapeHtml(comment.user?.username || 'Unknown')} · ${escapeHtml(formatCommentDate(comment.date))}
+            </div>
+            <div class="drawer-comment-text">${escapeHtml(comment.comment_text || '')}</div>
+          </div>
+        </div>
+      `).join('')}
+      ${comments.length > recent.length
+        ? `<p class="drawer-empty">${comments.length - recent.length} older comments in ClickUp.</p>`
+        : ''}
+    </section>
+  `;
+}
+
+function formatCommentDate(timestamp) {
+  return new Date(parseInt(timestamp, 10)).toLocaleString([], {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+async function toggleChecklistItem(input) {
+  const label = input.closest('.drawer-check');
+  const resolved = input.checked;
+  label.classList.add('saving');
+
+  try {
+    await client.updateChecklistItem(input.dataset.checklistId, input.dataset.itemId, { resolved });
+
+    const item = drawerTask?.checklists
+      ?.find(checklist => checklist.id === input.dataset.checklistId)
+      ?.items.find(i => i.id === input.dataset.itemId);
+    if (item) {
+      item.resolved = resolved;
+      renderTaskDrawer();
+    }
+  } catch (err) {
+    console.error('Error updating checklist item:', err);
+    input.checked = !resolved;
+    label.classList.remove('saving');
+    alert('Failed to update checklist item. Please try again.');
+  }
+}
+
+// Complete a subtask, or reopen it in its list's first open status
+async function toggleSubtask(input) {
+  const subtask = drawerTask?.subtasks?.find(t => t.id === input.dataset.subtaskId);
+  if (!subtask) return;
+
+  const label = input.closest('.drawer-check');
+  const complete = input.checked;
+  label.classList.add('saving');
+
+  try {
+    let changes;
+    if (complete) {
+      ({ changes } = await submitCompletion(subtask));
+    } else {
+      const openStatus = await resolveOpenStatus(subtask);
+      const entry = createOutboxEntry('status', subtask.id, { status: openStatus.status }, getTaskBaseline(subtask.id));
+      await runTaskAction(client, entry);
+      changes = { status: { ...subtask.status, ...openStatus } };
+    }
+
+    Object.assign(subtask, changes);
+    patchTask(subtask.id, changes);
+    renderTaskDrawer();
+  } catch (err) {
+    console.error('Error updating subtask:', err);
+    input.checked = !complete;
+    label.classList.remove('saving');
+    alert(`Failed to ${complete ? 'complete' : 'reopen'} subtask. Please try again.`);
+  }
+}
 
-  // Recalculate total time
-  const totalMs = allTasks.reduce((sum, task) => sum + (task.time_estimate || 0), 0);
+// The status a reopened task goes back to: its list's first open status
+async function resolveOpenStatus(task) {
+  const fallback = { status: 'to do', type: 'open' };
+  if (!task?.list?.id) return fallback;
+
+  try {
+    const statuses = await getListStatuses(client, task.list.id);
+    return statuses.find(s => s.type === 'open') || fallback;
+  } catch (err) {
+    console.error(`Error loading statuses for list ${task.list.id}:`, err);
+    return fallback;
+  }
+}
+
+async function postTaskComment() {
+  const taskId = drawerTaskId;
+  const text = taskCommentInput.value.trim();
+  if (!taskId || !text) return;
+
+  taskCommentInput.disabled = true;
+  taskCommentSubmit.disabled = true;
+
+  try {
+    await client.createTaskComment(taskId, text);
+    taskCommentInput.value = '';
+  } catch (err) {
+    console.error('Error posting comment:', err);
+    alert(err instanceof NetworkError
+      ? 'Could not reach ClickUp. The comment was not posted.'
+      : 'Failed to post comment. Please try again.');
+    return;
+  } finally {
+    taskCommentInput.disabled = false;
+    taskCommentSubmit.disabled = false;
+    taskCommentInput.focus();
+  }
+
+  // Show it in the list (the create response has no comment body to render)
+  try {
+    const comments = await client.getTaskComments(taskId);
+    if (drawerTaskId === taskId && drawerTask) {
+      drawerComments = comments;
+      renderTaskDrawer();
+    }
+  } catch (err) {
+    console.error('Error reloading comments:', err);
+  }
+}
+
+function getSelectedTasks() {
+  return allTasks.filter(task => selectedTaskIds.has(task.id));
+}
+
+// Keyboard-picked row
+function setActiveTask(taskId) {
+  activeTaskId = taskId;
+  tasksListEl.querySelectorAll('.task-item.active').forEach(el => el.classList.remove('active'));
+
+  const row = taskId && tasksListEl.querySelector(`.task-item[data-task-id="${CSS.escape(taskId)}"]`);
+  if (row) {
+    row.classList.add('active');
+    row.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+function moveActiveTask(step) {
+  const ids = getVisibleTaskIds();
+  if (ids.length === 0) return;
+
+  const index = ids.indexOf(activeTaskId);
+  const next = index === -1 ? (step > 0 ? 0 : ids.length - 1) : Math.min(Math.max(index + step, 0), ids.length - 1);
+  setActiveTask(ids[next]);
+}
+
+function getActiveTask() {
+  return activeTaskId ? allTasks.find(task => task.id === activeTaskId) : null;
+}
+
+function openActiveTask() {
+  const task = getActiveTask();
+  if (task) chrome.tabs.create({ url: task.url });
+}
+
+function showActiveTaskDetails() {
+  const task = getActiveTask();
+  if (task) openTaskDrawer(task);
+}
+
+function completeActiveTask() {
+  const row = activeTaskId && tasksListEl.querySelector(`.task-item[data-task-id="${CSS.escape(activeTaskId)}"]`);
+  if (row && !row.classList.contains('completed')) completeTask(activeTaskId, row);
+}
+
+function snoozeActiveTask() {
+  const task = getActiveTask();
+  if (task && settings.features.snooze) openSnoozeModal([task.id], task.name);
+}
+
+function toggleActiveTaskTimer() {
+  const button = activeTaskId && getTimerButton(activeTaskId);
+  if (button) toggleTimer(activeTaskId, button);
+}
+
+// Text fields the search box matches, for searchTasks() (lib/fuzzy-search.js)
+function getSearchFields(task) {
+  return {
+    name: task.name,
+    customId: task.custom_id || '',
+    list: task.list?.name || '',
+    folder: task.folder && !task.folder.hidden ? task.folder.name : '',
+    space: task.space?.id ? spaces[task.space.id] || '' : '',
+    parent: task.parent ? parentTasks[task.parent] || '' : '',
+    tags: (task.tags || []).map(tag => tag.name)
+  };
+}
+
+// Escape `text`, wrapping the characters at `indices` in <mark>
+function highlightText(text, indices) {
+  if (!indices || indices.length === 0) return escapeHtml(text);
+
+  const marked = new Set(indices);
+  let html = '';
+  let run = '';
+  let inMark = false;
+
+  String(text).split('').forEach((char, i) => {
+    if (marked.has(i) !== inMark) {
+      html += inMark ? `<mark>${escapeHtml(run)}</mark>` : escapeHtml(run);
+      run = '';
+      inMark = !inMark;
+    }
+    run += char;
+  });
+  html += inMark ? `<mark>${escapeHtml(run)}</mark>` : escapeHtml(run);
+
+  return html;
+}
+
+// Task ids in the order they are shown (respects filters, sort and groups)
+function getVisibleTaskIds() {
+  return [...tasksListEl.querySelectorAll('.task-item')].map(el => el.dataset.taskId);
+}
+
+// Toggle one task, or with `range` select everything between the last
+// clicked task and this one
+function toggleTaskSelection(taskId, { range = false } = {}) {
+  const visibleIds = getVisibleTaskIds();
+  const from = visibleIds.indexOf(lastSelectedTaskId);
+  const to = visibleIds.indexOf(taskId);
+
+  if (range && from !== -1 && to !== -1) {
+    visibleIds.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => selectedTaskIds.add(id));
+  } else if (selectedTaskIds.has(taskId)) {
+    selectedTaskIds.delete(taskId);
+  } else {
+    selectedTaskIds.add(taskId);
+  }
+
+  lastSelectedTaskId = taskId;
+  updateSelection();
+}
+
+function addToSelection(taskIds) {
+  taskIds.forEach(id => selectedTaskIds.add(id));
+  updateSelection();
+}
+
+function clearSelection() {
+  selectedTaskIds.clear();
+  lastSelectedTaskId = null;
+  updateSelection();
+}
+
+// Reflect the selection on the rows without re-rendering them
+function updateSelection() {
+  tasksListEl.querySelectorAll('.task-item').forEach(el => {
+    el.classList.toggle('selected', selectedTaskIds.has(el.dataset.taskId));
+  });
+  updateBulkBar();
+}
+
+function updateBulkBar() {
+  bulkBarEl.classList.toggle('hidden', selectedTaskIds.size === 0);
+  bulkCountEl.textContent = `${selectedTaskIds.size} selected`;
+}
+
+function setBulkBarBusy(busy) {
+  bulkBarEl.querySelectorAll('.bulk-btn').forEach(btn => {
+    btn.disabled = busy;
+  });
+}
+
+function bulkComplete() {
+  runBulkAction(
+    task => submitCompletion(task),
+    count => `Completed ${formatTaskCount(count)}`
+  );
+}
+
+// `status` comes from the shared status menu; each task moves to the status
+// of the same name in its own list
+function bulkChangeStatus(status) {
+  runBulkAction(async task => {
+    const listStatus = findStatusByName(await getListStatuses(client, task.list.id), status.status);
+    return listStatus.type === 'closed'
+      ? submitCompletion(task, listStatus)
+      : submitStatusChange(task, listStatus);
+  }, count => `Moved ${formatTaskCount(count)} to ${status.status}`);
+}
+
+function bulkChangePriority(level) {
+  runBulkAction(
+    task => submitPriorityChange(task, level),
+    count => `Set priority on ${formatTaskCount(count)}`
+  );
+}
+
+// Run `action(task)` for every selected task. Actions resolve like
+// submitCompletion(); tasks that fail stay selected and show the error on
+// their row so they can be retried. `describe(count)` words the toast.
+async function runBulkAction(action, describe) {
+  const tasks = getSelectedTasks();
+  if (tasks.length === 0) return;
+
+  bulkErrors.clear();
+  setBulkBarBusy(true);
+  const results = await Promise.allSettled(tasks.map(task => action(task)));
+  setBulkBarBusy(false);
+
+  const applied = [];
+  results.forEach((result, i) => {
+    const task = tasks[i];
+    if (result.status === 'fulfilled') {
+      applied.push(result.value);
+      selectedTaskIds.delete(task.id);
+      patchTask(task.id, result.value.changes);
+    } else {
+      console.error(`Bulk action failed for task ${task.id}:`, result.reason);
+      bulkErrors.set(task.id, result.reason.message);
+    }
+  });
+
+  const failed = tasks.length - applied.length;
+  if (failed > 0) {
+    renderTasks(allTasks);
+  }
+
+  const undoable = applied.filter(change => change.revert);
+  showUndoToast(
+    failed > 0 ? `${describe(applied.length)}, ${failed} failed` : describe(applied.length),
+    undoable.length > 0 ? () => undoBulkChanges(undoable) : null
+  );
+}
+
+async function undoBulkChanges(changes) {
+  const results = await Promise.allSettled(changes.map(change => revertTaskChange(
+    change.entry,
+    change.revert.payload,
+    change.revert.snapshotChanges
+  )));
+
+  const failed = results.filter(result => result.status === 'rejected');
+  if (failed.length > 0) {
+    failed.forEach(result => console.error('Error undoing bulk change:', result.reason));
+    alert(`Failed to undo ${failed.length} of ${changes.length} changes. Please try again.`);
+  }
+}
+
+function formatTaskCount(count) {
+  return `${count} task${count !== 1 ? 's' : ''}`;
+}
+
+function showUndoToast(message, undo) {
+  clearTimeout(toastTimeoutId);
+  pendingUndo = undo;
+  toastMessageEl.textContent = message;
+  toastUndoBtn.classList.toggle('hidden', !undo);
+  toastEl.classList.remove('hidden');
+  toastTimeoutId = setTimeout(hideToast, UNDO_TIMEOUT_MS);
+}
+
+function hideToast() {
+  clearTimeout(toastTimeoutId);
+  pendingUndo = null;
+  toastEl.classList.add('hidden');
+}
+
+// Revert a complete/snooze. If the original action is still queued offline
+// it is simply dropped; otherwise the previous values are written back.
+// `payload` goes to the API, `snapshotChanges` restores the cached task so
+// the row is re-rendered in its sorted position.
+async function undoTaskChange(entry, payload, snapshotChanges, label) {
+  try {
+    await revertTaskChange(entry, payload, snapshotChanges);
+  } catch (err) {
+    console.error(`Error undoing ${label}:`, err);
+    alert(`Failed to undo ${label}. Please try again.`);
+  }
+}
+
+async function revertTaskChange(entry, payload, snapshotChanges) {
+  entry.undone = true;
+
+  const entries = await loadOutbox();
+
+  if (entries.some(e => e.id === entry.id && e.state === 'pending')) {
+    await updateOutbox(current => current.filter(e => e.id !== entry.id));
+  } else {
+    await runTaskAction(client, createOutboxEntry('undo', entry.taskId, payload));
+  }
+
+  patchTask(entry.taskId, snapshotChanges);
+}
+
+function updateTaskCount() {
+  const taskItems = tasksListEl.querySelectorAll('.task-item');
+  const remainingTasks = taskItems.length;
+  taskCountEl.textContent = formatTaskCount(remainingTasks);
+
+  // Recalculate total time over the rows still shown, as renderTasks() does
+  const shownIds = new Set([...taskItems].map(item => item.dataset.taskId));
+  const totalMs = allTasks
+    .filter(task => shownIds.has(task.id))
+    .reduce((sum, task) => sum + (task.time_estimate || 0), 0);
   const totalFormatted = formatTimeEstimate(totalMs);
   totalTimeEl.textContent = totalFormatted ? `Total: ${totalFormatted}` : '';
 
@@ -920,10 +2979,30 @@ function updateTaskCount() {
   }
 }
 
+// Safe for text and for double-quoted attributes
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+// "1h 30m", "1.5h", "90m", "1:30" or a bare number of minutes -> ms.
+// Null when the text isn't a duration, or is zero or over 1000 hours.
+function parseTimeEstimate(text) {
+  const value = String(text || '').trim().toLowerCase();
+  let minutes = null;
+  let match;
+
+  if ((match = value.match(/^(\d+):([0-5]\d)$/))) {
+    minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  } else if (/^\d+(\.\d+)?$/.test(value)) {
+    minutes = parseFloat(value);
+  } else if ((match = value.match(/^(?:(\d+(?:\.\d+)?)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*m(?:in(?:ute)?s?)?)?$/)) && (match[1] || match[2])) {
+    minutes = parseFloat(match[1] || 0) * 60 + parseInt(match[2] || 0, 10);
+  }
+
+  if (minutes === null || minutes <= 0 || minutes > 1000 * 60) return null;
+  return Math.round(minutes) * 60000;
 }
 
 function formatTimeEstimate(ms) {
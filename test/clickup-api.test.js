@@ -0,0 +1,136 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers/load-scripts');
+const { createChromeStub } = require('./helpers/chrome-stub');
+const { createMockClickUpServer } = require('./helpers/mock-clickup-server');
+
+const server = createMockClickUpServer();
+let baseUrl;
+let lib;
+
+before(async () => {
+  baseUrl = await server.start();
+});
+
+after(() => server.stop());
+
+beforeEach(() => {
+  server.routes = {};
+  server.requests.length = 0;
+  lib = loadScripts(['lib/settings.js', 'lib/request-scheduler.js', 'lib/clickup-api.js'], {
+    chrome: createChromeStub()
+  });
+});
+
+// A client whose retries don't make the tests wait
+function createClient(options = {}) {
+  const scheduler = new lib.RequestScheduler({ baseDelay: 1, maxDelay: 5, maxRetries: 2 });
+  return new lib.ClickUpClient({ apiKey: 'pk_test', baseUrl, scheduler, ...options });
+}
+
+test('fromStorage() uses the stored API key and apiBaseUrl', async () => {
+  await lib.chrome.storage.sync.set({ clickupApiKey: 'pk_stored', apiBaseUrl: baseUrl });
+  server.routes['GET /user'] = () => ({ user: { id: 7, username: 'Ada' } });
+
+  const client = await lib.ClickUpClient.fromStorage();
+  const user = await client.getUser();
+
+  assert.deepEqual(plain(user), { id: 7, username: 'Ada' });
+  assert.equal(server.requests[0].headers.authorization, 'pk_stored');
+});
+
+test('sends query arrays in ClickUp\'s key[]=value form', async () => {
+  server.routes['GET /team/:teamId/task'] = () => ({ tasks: [], last_page: true });
+
+  await createClient().searchTasks('9', { assignees: [1, 2], due_date_lt: 100, page: 0 });
+
+  const query = server.requests[0].query;
+  assert.deepEqual(query.getAll('assignees[]'), ['1', '2']);
+  assert.equal(query.get('due_date_lt'), '100');
+});
+
+test('sends JSON bodies and handles empty responses', async () => {
+  server.routes['PUT /task/:taskId'] = () => ({ status: 200 });
+
+  const result = await createClient().updateTask('abc', { priority: 2 });
+
+  assert.equal(result, null);
+  assert.deepEqual(server.requests[0].body, { priority: 2 });
+  assert.equal(server.requests[0].headers['content-type'], 'application/json');
+});
+
+test('maps error statuses to typed errors', async () => {
+  server.routes['GET /task/:taskId'] = ({ params }) => ({
+    status: { missing: 404, denied: 401, other: 400 }[params.taskId],
+    body: { err: 'Nope', ECODE: 'TEST' }
+  });
+  const client = createClient();
+
+  await assert.rejects(client.getTask('missing'), err => {
+    assert.ok(err instanceof lib.NotFoundError);
+    assert.equal(err.status, 404);
+    assert.equal(err.endpoint, '/task/missing');
+    assert.equal(err.message, 'API error: 404 Nope');
+    return true;
+  });
+  await assert.rejects(client.getTask('denied'), lib.AuthError);
+  await assert.rejects(client.getTask('other'), err => err instanceof lib.ClickUpError && err.name === 'ClickUpError');
+});
+
+test('retries 429 responses and gives up with a RateLimitError', async () => {
+  server.routes['GET /user'] = () => ({ status: 429, headers: { 'Retry-After': '0' }, body: { err: 'Rate limited' } });
+
+  await assert.rejects(createClient().getUser(), err => {
+    assert.ok(err instanceof lib.RateLimitError);
+    assert.equal(err.retryAfter, 0);
+    return true;
+  });
+  assert.equal(server.requests.length, 3); // First try and two retries
+});
+
+test('retries server errors on GET but not on POST', async () => {
+  let calls = 0;
+  server.routes['GET /team'] = () => (++calls < 2 ? { status: 503 } : { teams: [{ id: '1' }] });
+  server.routes['POST /task/:taskId/time'] = () => ({ status: 500 });
+  const client = createClient();
+
+  assert.deepEqual(plain(await client.getTeams()), [{ id: '1' }]);
+  assert.equal(calls, 2);
+
+  await assert.rejects(client.createTimeEntry('abc', { start: 1, end: 2, duration: 1 }), err => err.status === 500);
+  assert.equal(server.requests.filter(r => r.method === 'POST').length, 1);
+});
+
+test('throws a NetworkError when the server can\'t be reached', async () => {
+  const client = createClient({ baseUrl: 'http://127.0.0.1:1/api/v2' });
+  await assert.rejects(client.getUser(), lib.NetworkError);
+});
+
+test('records the rate-limit budget from response headers', async () => {
+  server.routes['GET /user'] = () => ({
+    status: 200,
+    headers: { 'X-RateLimit-Limit': '100', 'X-RateLimit-Remaining': '10', 'X-RateLimit-Reset': String(Math.ceil(Date.now() / 1000) + 60) },
+    body: { user: { id: 1 } }
+  });
+
+  await createClient().getUser();
+
+  assert.equal(await lib.isRateLimitBudgetLow(), true);
+});
+
+test('searchAllTasks() follows pages and stops at the cap', async () => {
+  const page = count => Array.from({ length: count }, (_, i) => ({ id: String(i) }));
+  server.routes['GET /team/:teamId/task'] = ({ query }) => ({
+    tasks: page(query.get('page') === '2' ? 5 : lib.TASKS_PAGE_SIZE),
+    last_page: query.get('page') === '2'
+  });
+  const client = createClient();
+
+  const all = await client.searchAllTasks('1', {}, { maxPages: 5 });
+  assert.equal(all.tasks.length, lib.TASKS_PAGE_SIZE * 2 + 5);
+  assert.equal(all.truncated, false);
+
+  const capped = await client.searchAllTasks('1', {}, { maxPages: 2 });
+  assert.equal(capped.tasks.length, lib.TASKS_PAGE_SIZE * 2);
+  assert.equal(capped.truncated, true);
+});
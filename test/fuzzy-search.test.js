@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers/load-scripts');
+
+const lib = loadScripts(['lib/fuzzy-search.js']);
+
+test('fuzzyMatch() highlights a substring, preferring one at a word start', () => {
+  assert.deepEqual(plain(lib.fuzzyMatch('port', 'Report portal')), { score: 16, indices: [7, 8, 9, 10] });
+  assert.deepEqual(plain(lib.fuzzyMatch('REP', 'report')).indices, [0, 1, 2]);
+  // Inside a word only when there is nothing better
+  assert.deepEqual(plain(lib.fuzzyMatch('port', 'Report')).indices, [2, 3, 4, 5]);
+});
+
+test('fuzzyMatch() takes characters in order otherwise', () => {
+  assert.deepEqual(plain(lib.fuzzyMatch('ur', 'Update roadmap')).indices, [0, 7]);
+  assert.deepEqual(plain(lib.fuzzyMatch('rdmp', 'Update roadmap')).indices, [7, 10, 11, 13]);
+  assert.equal(lib.fuzzyMatch('pu', 'Update'), null);
+  assert.equal(lib.fuzzyMatch('', 'Update'), null);
+  assert.equal(lib.fuzzyMatch('u', null), null);
+});
+
+test('fuzzyMatch() scores tight and word-start matches higher', () => {
+  const score = (query, text) => lib.fuzzyMatch(query, text).score;
+
+  assert.ok(score('road', 'Update roadmap') > score('road', 'Railroad'));
+  assert.ok(score('road', 'Railroad') > score('road', 'Read old agenda'));
+  assert.ok(score('ur', 'Update roadmap') > score('ur', 'Query')); // Word starts beat scattered letters
+  assert.ok(score('rdmp', 'roadmap') > score('rdmp', 'read the map'));
+});
+
+function getFields(task) {
+  return { name: task.name, tags: task.tags || [], list: task.list || '' };
+}
+
+test('searchTasks() ranks by weighted score and needs every word to match', () => {
+  const tasks = [
+    { id: 'list', name: 'Send invoice', list: 'Billing' },
+    { id: 'name', name: 'Billing run', list: 'Ops' },
+    { id: 'tag', name: 'Call Acme', tags: ['billing'] },
+    { id: 'none', name: 'Water plants', list: 'Home' }
+  ];
+
+  const results = lib.searchTasks(tasks, 'bill', getFields);
+  assert.deepEqual(Array.from(results, result => result.task.id), ['name', 'tag', 'list']);
+
+  assert.deepEqual(Array.from(lib.searchTasks(tasks, 'bill acme', getFields), result => result.task.id), ['tag']);
+
+  // A blank query keeps every task, in order
+  assert.deepEqual(Array.from(lib.searchTasks(tasks, '  ', getFields), result => result.task.id),
+    ['list', 'name', 'tag', 'none']);
+});
+
+test('searchTasks() returns highlight ranges per field and per tag', () => {
+  const task = { name: 'Invoice Acme', tags: ['billing', 'acme-corp'], list: 'Invoices' };
+  const [result] = lib.searchTasks([task], 'inv corp', getFields);
+
+  assert.deepEqual(plain(result.matches), {
+    name: [0, 1, 2],
+    tags: { 'acme-corp': [5, 6, 7, 8] }
+  });
+});
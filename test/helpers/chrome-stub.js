@@ -0,0 +1,72 @@
+// In-memory stand-in for the parts of the `chrome` API the lib/ modules use:
+// chrome.storage.local/sync (with onChanged), chrome.runtime.sendMessage and
+// chrome.alarms.
+
+function createStorageArea(areaName, notify) {
+  const items = {};
+
+  return {
+    items,
+    async get(keys) {
+      const wanted = keys == null ? Object.keys(items) : [].concat(keys);
+      const result = {};
+      wanted.forEach(key => {
+        if (key in items) result[key] = structuredClone(items[key]);
+      });
+      return result;
+    },
+    async set(values) {
+      const changes = {};
+      Object.entries(values).forEach(([key, value]) => {
+        changes[key] = { oldValue: items[key], newValue: structuredClone(value) };
+        items[key] = structuredClone(value);
+      });
+      notify(changes, areaName);
+    },
+    async remove(keys) {
+      const changes = {};
+      [].concat(keys).forEach(key => {
+        changes[key] = { oldValue: items[key] };
+        delete items[key];
+      });
+      notify(changes, areaName);
+    }
+  };
+}
+
+function createChromeStub() {
+  const listeners = [];
+  const notify = (changes, area) => listeners.forEach(listener => listener(changes, area));
+  const messages = [];
+  const alarms = {};
+
+  return {
+    storage: {
+      local: createStorageArea('local', notify),
+      sync: createStorageArea('sync', notify),
+      onChanged: {
+        addListener: listener => listeners.push(listener),
+        removeListener: listener => listeners.splice(listeners.indexOf(listener), 1)
+      }
+    },
+    runtime: {
+      messages,
+      sendMessage: async message => {
+        messages.push(message);
+      }
+    },
+    alarms: {
+      items: alarms,
+      create: async (name, info) => {
+        alarms[name] = info;
+      },
+      clear: async name => {
+        const existed = name in alarms;
+        delete alarms[name];
+        return existed;
+      }
+    }
+  };
+}
+
+module.exports = { createChromeStub };
@@ -0,0 +1,47 @@
+// Load the extension's classic scripts into a fresh context, the way the
+// popup's <script> tags and the background worker's importScripts() do, so
+// tests see the same globals. `globals` supplies what the scripts expect
+// from the browser (e.g. `chrome` from ./chrome-stub.js).
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext({
+    console,
+    fetch,
+    setTimeout,
+    clearTimeout,
+    structuredClone,
+    ...globals
+  });
+
+  files.forEach(file => {
+    const filename = path.join(ROOT, file);
+    vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+  });
+
+  // Top-level `const` and `class` declarations are not properties of the
+  // context object, so look unknown names up in the context itself
+  return new Proxy(context, {
+    get(target, name) {
+      if (typeof name !== 'string' || name in target) return target[name];
+      try {
+        return vm.runInContext(name, context);
+      } catch (err) {
+        return undefined;
+      }
+    }
+  });
+}
+
+// Copy a value out of the script context, so assert.deepStrictEqual()
+// compares it with plain objects and arrays of this realm
+function plain(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScripts, plain };
@@ -0,0 +1,128 @@
+// Small stand-in for the ClickUp API. Tests start one on a free port and
+// point a ClickUpClient at it; run this file directly to serve the sample
+// data below on http://localhost:3000/api/v2 for the extension itself (see
+// "Pointing at a mock API" in the README).
+//
+// Routes are { 'METHOD /path/:param': handler }. A handler gets
+// { params, query, body, headers } and returns the JSON body, or
+// { status, headers, body } to control the response. Every request is
+// recorded in `server.requests`.
+
+const http = require('http');
+
+const API_PREFIX = '/api/v2';
+
+function createMockClickUpServer(routes = {}) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://localhost');
+      const path = url.pathname.startsWith(API_PREFIX) ? url.pathname.slice(API_PREFIX.length) : url.pathname;
+      const request = {
+        method: req.method,
+        path,
+        query: url.searchParams,
+        headers: req.headers,
+        body: raw ? JSON.parse(raw) : undefined
+      };
+      requests.push(request);
+
+      const route = findRoute(server.routes, req.method, path);
+      let result = route
+        ? await route.handler({ ...request, params: route.params })
+        : { status: 404, body: { err: 'Route not found', ECODE: 'MOCK_404' } };
+
+      if (!result || !('status' in result)) {
+        result = { status: 200, body: result };
+      }
+
+      res.writeHead(result.status, { 'Content-Type': 'application/json', ...(result.headers || {}) });
+      res.end(result.body === undefined ? '' : JSON.stringify(result.body));
+    });
+  });
+
+  server.routes = routes;
+  server.requests = requests;
+
+  // Resolves to the base URL to give ClickUpClient
+  server.start = (port = 0) => new Promise(resolve => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve(`http://127.0.0.1:${server.address().port}${API_PREFIX}`);
+    });
+  });
+  server.stop = () => new Promise(resolve => server.close(resolve));
+
+  return server;
+}
+
+function findRoute(routes, method, path) {
+  for (const [key, handler] of Object.entries(routes)) {
+    const [routeMethod, routePath] = key.split(' ');
+    if (routeMethod !== method) continue;
+
+    const names = [];
+    const pattern = new RegExp(`^${routePath.replace(/:(\w+)/g, (_, name) => {
+      names.push(name);
+      return '([^/]+)';
+    })}$`);
+    const match = path.match(pattern);
+    if (match) {
+      const params = {};
+      names.forEach((name, i) => {
+        params[name] = decodeURIComponent(match[i + 1]);
+      });
+      return { handler, params };
+    }
+  }
+  return null;
+}
+
+// Sample workspace for manual testing: one user, one team, a few tasks due today
+function createSampleRoutes(now = Date.now()) {
+  const user = { id: 1, username: 'Mock User', email: 'mock@example.com', color: '#7b68ee', timezone: 'UTC' };
+  const list = { id: '100', name: 'Sample List' };
+  const task = (id, name, hoursFromNow, priority = null) => ({
+    id,
+    name,
+    status: { status: 'to do', color: '#d3d3d3', type: 'open' },
+    priority,
+    due_date: String(now + hoursFromNow * 60 * 60 * 1000),
+    due_date_time: true,
+    date_updated: String(now),
+    assignees: [user],
+    tags: [],
+    list,
+    folder: { id: '10', name: 'hidden', hidden: true },
+    space: { id: '1' },
+    url: `https://app.clickup.com/t/${id}`
+  });
+  const tasks = [
+    task('mock1', 'Reply to the client', 1, { id: '2', priority: 'high', color: '#ffcc00' }),
+    task('mock2', 'Review the pull request', 3),
+    task('mock3', 'Send the weekly report', 5, { id: '1', priority: 'urgent', color: '#f50000' })
+  ];
+
+  return {
+    'GET /user': () => ({ user }),
+    'GET /team': () => ({ teams: [{ id: '1', name: 'Mock Workspace', members: [{ user }] }] }),
+    'GET /team/:teamId/space': () => ({ spaces: [{ id: '1', name: 'Mock Space' }] }),
+    'GET /team/:teamId/task': () => ({ tasks, last_page: true }),
+    'GET /list/:listId': () => ({ ...list, statuses: [{ status: 'to do', type: 'open' }, { status: 'complete', type: 'closed' }] }),
+    'PUT /task/:taskId': ({ params, body }) => ({ ...tasks.find(t => t.id === params.taskId), ...body }),
+    'POST /task/:taskId/time': ({ body }) => ({ data: { id: `entry-${Date.now()}`, ...body } })
+  };
+}
+
+module.exports = { createMockClickUpServer, createSampleRoutes };
+
+if (require.main === module) {
+  const server = createMockClickUpServer(createSampleRoutes());
+  server.start(parseInt(process.env.PORT, 10) || 3000).then(url => {
+    console.log(`Mock ClickUp API on ${url.replace('127.0.0.1', 'localhost')}`);
+  });
+}
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const lib = loadScripts(['lib/markdown.js']);
+
+const LINK_ATTRS = 'target="_blank" rel="noopener noreferrer"';
+
+test('links keep safe URLs and drop the rest', () => {
+  assert.equal(lib.renderMarkdownInline('See [docs](https://example.com/a?b=1&c=2)'),
+    `See <a href="https://example.com/a?b=1&amp;c=2" ${LINK_ATTRS}>docs</a>`);
+  assert.equal(lib.renderMarkdownInline('[mail](mailto:me@example.com)'),
+    `<a href="mailto:me@example.com" ${LINK_ATTRS}>mail</a>`);
+  assert.equal(lib.renderMarkdownInline('[click](javascript:alert(1))'), 'click)');
+});
+
+test('emphasis does not rewrite link URLs', () => {
+  assert.equal(lib.renderMarkdownInline('[doc](https://example.com/_draft_/x)'),
+    `<a href="https://example.com/_draft_/x" ${LINK_ATTRS}>doc</a>`);
+  assert.equal(lib.renderMarkdownInline('[a](https://x.test/**b**) and [c](https://x.test/~~d~~)'),
+    `<a href="https://x.test/**b**" ${LINK_ATTRS}>a</a> and <a href="https://x.test/~~d~~" ${LINK_ATTRS}>c</a>`);
+  // Labels are still formatted
+  assert.equal(lib.renderMarkdownInline('[**big** news](https://example.com/my_page_1)'),
+    `<a href="https://example.com/my_page_1" ${LINK_ATTRS}><strong>big</strong> news</a>`);
+});
+
+test('code spans are left as written', () => {
+  assert.equal(lib.renderMarkdownInline('Run `a *b* _c_ [d](https://e.test)` now'),
+    'Run <code>a *b* _c_ [d](https://e.test)</code> now');
+  assert.equal(lib.renderMarkdownInline('`<b>` and `x`'), '<code>&lt;b&gt;</code> and <code>x</code>');
+});
+
+test('emphasis', () => {
+  assert.equal(lib.renderMarkdownInline('**bold** and __bold__'), '<strong>bold</strong> and <strong>bold</strong>');
+  assert.equal(lib.renderMarkdownInline('*it* and _it_'), '<em>it</em> and <em>it</em>');
+  assert.equal(lib.renderMarkdownInline('~~gone~~'), '<del>gone</del>');
+  // Not inside words or around spaces
+  assert.equal(lib.renderMarkdownInline('snake_case_name and 2 * 3 * 4'), 'snake_case_name and 2 * 3 * 4');
+});
+
+test('HTML is escaped everywhere', () => {
+  assert.equal(lib.renderMarkdownInline('<img src=x onerror="alert(1)">'),
+    '&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+  assert.equal(lib.renderMarkdownInline('[<b>x</b>](https://example.com/"onclick="x)'),
+    `<a href="https://example.com/&quot;onclick=&quot;x" ${LINK_ATTRS}>&lt;b&gt;x&lt;/b&gt;</a>`);
+  assert.equal(lib.renderMarkdown('```\n<script>\n```'), '<pre><code>&lt;script&gt;</code></pre>');
+});
+
+test('blocks', () => {
+  assert.equal(lib.renderMarkdown('# Title\n\nOne\ntwo'), '<h4>Title</h4><p>One<br>two</p>');
+  assert.equal(lib.renderMarkdown('- a\n- [x] b\n1. c'),
+    '<ul><li>a</li><li class="md-task md-task-done"><span class="md-task-box">☑</span> b</li></ul><ol><li>c</li></ol>');
+  assert.equal(lib.renderMarkdown('> quoted\n\n---'), '<blockquote><p>quoted</p></blockquote><hr>');
+});
@@ -0,0 +1,83 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers/load-scripts');
+const { createChromeStub } = require('./helpers/chrome-stub');
+
+let lib;
+
+beforeEach(() => {
+  lib = loadScripts([
+    'lib/settings.js',
+    'lib/request-scheduler.js',
+    'lib/clickup-api.js',
+    'lib/time-zone.js',
+    'lib/task-snapshot.js',
+    'lib/outbox.js'
+  ], { chrome: createChromeStub() });
+});
+
+test('concurrent writes keep every entry', async () => {
+  const entries = ['a', 'b', 'c'].map(taskId => lib.createOutboxEntry('complete', taskId, { status: 'done' }));
+
+  await Promise.all([
+    ...entries.map(entry => lib.enqueueOutboxEntry(entry)),
+    lib.markOutboxEntryFailed(entries[0].id, 'Nope')
+  ]);
+
+  const outbox = await lib.loadOutbox();
+  assert.deepEqual(outbox.map(entry => entry.taskId), ['a', 'b', 'c']);
+  assert.equal(outbox[0].state, 'failed');
+});
+
+test('runTaskAction() queues the entry only on network errors', async () => {
+  const offline = { updateTask: async () => { throw new lib.NetworkError('offline'); } };
+  const rejected = { updateTask: async () => { throw new lib.ClickUpError('API error: 400'); } };
+  const entry = lib.createOutboxEntry('status', 'a', { status: 'review' });
+
+  assert.deepEqual(plain(await lib.runTaskAction(offline, entry)), { queued: true });
+  await assert.rejects(lib.runTaskAction(rejected, entry), /400/);
+  assert.equal((await lib.loadOutbox()).length, 1);
+});
+
+test('processOutbox() marks conflicting changes failed and holds back later ones', async () => {
+  const baseline = { date_updated: '100', due_date: '1000' };
+  const snooze = lib.createOutboxEntry('snooze', 'a', { due_date: 2000 }, baseline);
+  const later = lib.createOutboxEntry('priority', 'a', { priority: 1 }, baseline);
+  const other = lib.createOutboxEntry('complete', 'b', { status: 'done' }, baseline);
+  await lib.enqueueOutboxEntry(snooze);
+  await lib.enqueueOutboxEntry(later);
+  await lib.enqueueOutboxEntry(other);
+
+  const updated = [];
+  const client = {
+    getTask: async taskId => ({ id: taskId, date_updated: '200', due_date: '1500', status: { status: 'open', type: 'open' } }),
+    updateTask: async taskId => updated.push(taskId)
+  };
+
+  assert.equal(await lib.processOutbox(client), 1);
+  assert.deepEqual(updated, ['b']);
+
+  const outbox = await lib.loadOutbox();
+  assert.deepEqual(outbox.map(entry => [entry.type, entry.state]), [['snooze', 'failed'], ['priority', 'pending']]);
+  assert.equal(outbox[0].error, 'Due date was changed in ClickUp');
+});
+
+test('the replay alarm stays only while entries can be replayed', async () => {
+  const chrome = createChromeStub();
+  lib = loadScripts(['lib/outbox.js'], { chrome });
+
+  const failed = { ...lib.createOutboxEntry('snooze', 'a', {}), state: 'failed' };
+  const heldBack = lib.createOutboxEntry('priority', 'a', { priority: 1 });
+  const other = lib.createOutboxEntry('complete', 'b', { status: 'done' });
+
+  lib.scheduleOutboxReplay([failed, heldBack, other]);
+  assert.deepEqual(Object.keys(chrome.alarms.items), ['replayOutbox']);
+
+  // Only entries behind a failed one are left: nothing to retry on a timer
+  assert.deepEqual(plain(lib.getReplayableOutboxEntries([failed, heldBack])), []);
+  lib.scheduleOutboxReplay([failed, heldBack]);
+  assert.deepEqual(Object.keys(chrome.alarms.items), []);
+
+  // Discarding the failed entry lets the held-back one through again
+  assert.deepEqual(lib.getReplayableOutboxEntries([heldBack]).map(entry => entry.id), [heldBack.id]);
+});
@@ -0,0 +1,80 @@
+process.env.TZ = 'Asia/Tokyo';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers/load-scripts');
+
+const lib = loadScripts(['lib/time-zone.js', 'lib/quick-add.js']);
+
+const NEW_YORK = 'America/New_York';
+// Friday 2026-10-16, 10:00 in New York
+const NOW = Date.UTC(2026, 9, 16, 14);
+
+function ny(month, day, hours = 9, minutes = 0) {
+  return lib.zonedTimeToTimestamp({ year: 2026, month, day, hours, minutes }, NEW_YORK);
+}
+
+function parse(text) {
+  return plain(lib.parseQuickAdd(text, { now: NOW, timeZone: NEW_YORK }));
+}
+
+test('pulls priority, tags, day and time out of the name', () => {
+  assert.deepEqual(parse('Send invoice to Acme tomorrow 3pm !high #billing #Acme'), {
+    name: 'Send invoice to Acme',
+    dueDate: ny(10, 17, 15),
+    hasTime: true,
+    priority: 2,
+    tags: ['billing', 'acme']
+  });
+  assert.equal(parse('Call back !1').priority, 1);
+});
+
+test('plain names get no due date', () => {
+  assert.deepEqual(parse('Water the plants'), {
+    name: 'Water the plants',
+    dueDate: null,
+    hasTime: false,
+    priority: null,
+    tags: []
+  });
+});
+
+test('day phrases', () => {
+  assert.equal(parse('Report today').dueDate, ny(10, 16));
+  assert.equal(parse('Report by tmr').dueDate, ny(10, 17));
+  assert.equal(parse('Report monday').dueDate, ny(10, 19));
+  assert.equal(parse('Report friday').dueDate, ny(10, 23)); // Never today
+  assert.equal(parse('Report next week').dueDate, ny(10, 23));
+  assert.equal(parse('Report in 3 days').dueDate, ny(10, 19));
+  assert.equal(parse('Report in 2 weeks').dueDate, ny(10, 30));
+  assert.equal(parse('Report dec 5').dueDate, ny(12, 5));
+  assert.equal(parse('Report 5th december').dueDate, ny(12, 5));
+  assert.equal(parse('Report 2026-11-02').dueDate, ny(11, 2));
+  // Dates that have passed this year mean next year's
+  assert.equal(parse('Report jan 2').dueDate,
+    lib.zonedTimeToTimestamp({ year: 2027, month: 1, day: 2, hours: 9, minutes: 0 }, NEW_YORK));
+  assert.equal(parse('Report today').hasTime, false);
+});
+
+test('short weekday names need "on" or "next"', () => {
+  assert.equal(parse('Review on wed').dueDate, ny(10, 21));
+  assert.equal(parse('Review next thu').dueDate, ny(10, 22));
+  assert.equal(parse('Review on wed').name, 'Review');
+
+  for (const text of ['Fix sun icon', 'Mon repo cleanup', 'Wed plans', 'Sat nav bug']) {
+    const parsed = parse(text);
+    assert.equal(parsed.name, text);
+    assert.equal(parsed.dueDate, null);
+  }
+});
+
+test('time phrases', () => {
+  assert.equal(parse('Standup at 3:30 pm').dueDate, ny(10, 16, 15, 30));
+  assert.equal(parse('Standup 15:00 friday').dueDate, ny(10, 23, 15));
+  assert.equal(parse('Lunch noon').dueDate, ny(10, 16, 12));
+  // A time that has passed today means tomorrow
+  assert.equal(parse('Standup 8am').dueDate, ny(10, 17, 8));
+  // Not times
+  assert.equal(parse('Buy 13pm cables').dueDate, null);
+  assert.equal(parse('Meet at 25:00').dueDate, null);
+});
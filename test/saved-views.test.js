@@ -0,0 +1,78 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers/load-scripts');
+const { createChromeStub } = require('./helpers/chrome-stub');
+
+let lib;
+
+beforeEach(() => {
+  lib = loadScripts(['lib/settings.js', 'lib/task-filters.js', 'lib/saved-views.js'], { chrome: createChromeStub() });
+});
+
+const STATE = {
+  window: 'custom',
+  customStart: '2026-10-19',
+  customEnd: '2026-10-23',
+  workspace: '9001',
+  filters: { spaces: ['1'], folders: [], lists: ['10', '11'], tags: ['billing'], priorities: ['1', 'none'], statuses: ['open'] },
+  sort: 'due-time',
+  grouping: true,
+  includeOverdue: true,
+  includeInProgress: false,
+  includeCompleted: true,
+  members: { mode: 'selected', userIds: ['2', '3'] }
+};
+
+test('a saved view comes back as it was captured', async () => {
+  const view = lib.createSavedView('Billing week', STATE);
+  await lib.saveSavedViews({ views: [view], defaultViewId: view.id });
+
+  const loaded = await lib.loadSavedViews();
+  assert.deepEqual(plain(loaded), { views: [{ id: view.id, name: 'Billing week', state: STATE }], defaultViewId: view.id });
+  assert.equal(lib.isSameViewState(loaded.views[0].state, STATE), true);
+
+  // The popup opens with the default view
+  assert.deepEqual(plain(lib.getInitialViewState(lib.defaultSettings, loaded)), STATE);
+});
+
+test('views saved by older versions get the missing fields', async () => {
+  await lib.saveSavedViews({
+    views: [{ id: 'old', name: 'Old', state: { window: 'week', filters: { tags: ['x'] } } }],
+    defaultViewId: 'deleted'
+  });
+
+  const loaded = await lib.loadSavedViews();
+  assert.equal(loaded.defaultViewId, null);
+  assert.deepEqual(plain(loaded.views[0].state), {
+    ...plain(lib.defaultViewState),
+    window: 'week',
+    filters: { ...plain(lib.emptyTaskFilters), tags: ['x'] }
+  });
+});
+
+test('isSameViewState() ignores list order and id types but not settings', () => {
+  const reordered = {
+    ...STATE,
+    filters: { ...STATE.filters, lists: ['11', '10'], priorities: ['none', '1'] },
+    members: { mode: 'selected', userIds: [3, 2] }
+  };
+
+  assert.equal(lib.isSameViewState(STATE, reordered), true);
+  assert.equal(lib.isSameViewState(STATE, { ...STATE, sort: 'priority' }), false);
+  assert.equal(lib.isSameViewState(STATE, { ...STATE, filters: { ...STATE.filters, tags: [] } }), false);
+  assert.equal(lib.isSameViewState({}, lib.defaultViewState), true);
+});
+
+test('without a default view the popup starts from settings', () => {
+  const settings = lib.mergeSettings({
+    features: { grouping: true, overdue: true, inProgress: false },
+    teamView: { mode: 'everyone', userIds: [] }
+  });
+
+  assert.deepEqual(plain(lib.getInitialViewState(settings, { views: [], defaultViewId: null })), {
+    ...plain(lib.defaultViewState),
+    grouping: true,
+    includeOverdue: true,
+    members: { mode: 'everyone', userIds: [] }
+  });
+});
@@ -0,0 +1,90 @@
+// Snooze rules and the work schedule work in the ClickUp user's zone; the
+// process runs in another one so local-date shortcuts would show up
+process.env.TZ = 'Asia/Tokyo';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers/load-scripts');
+
+const lib = loadScripts(['lib/time-zone.js', 'lib/work-schedule.js', 'lib/snooze.js']);
+
+const NEW_YORK = 'America/New_York';
+
+// Instant of a wall-clock time in New York
+function ny(year, month, day, hours = 0, minutes = 0) {
+  return lib.zonedTimeToTimestamp({ year, month, day, hours, minutes }, NEW_YORK);
+}
+
+function createSchedule(holidays = []) {
+  return lib.getWorkSchedule(
+    { features: { workSchedule: true }, workDays: [1, 2, 3, 4, 5], workStart: '09:00', workEnd: '17:00' },
+    holidays.map(date => ({ date, name: 'Holiday' }))
+  );
+}
+
+test('rules resolve to days and times in the configured zone', () => {
+  const now = ny(2026, 10, 16, 20); // Friday evening in New York, Saturday in Tokyo
+  const options = { now, timeZone: NEW_YORK };
+
+  assert.equal(lib.resolveSnoozeRule('tomorrow 10:00', options).dueDate, ny(2026, 10, 17, 10));
+  assert.equal(lib.resolveSnoozeRule('next monday 09:00', options).dueDate, ny(2026, 10, 19, 9));
+  assert.equal(lib.resolveSnoozeRule('today 15:00', options).dueDate, ny(2026, 10, 17, 15));
+  assert.equal(lib.resolveSnoozeRule('+3h', options).dueDate, now + 3 * 60 * 60 * 1000);
+});
+
+test('days without a time keep the task\'s time of day across DST', () => {
+  const originalDue = ny(2026, 10, 30, 14, 30); // EDT
+  const target = lib.resolveSnoozeRule('+1w', {
+    now: ny(2026, 10, 30, 8),
+    originalDue,
+    originalHasTime: true,
+    timeZone: NEW_YORK
+  });
+
+  assert.deepEqual(plain(target), { dueDate: ny(2026, 11, 6, 14, 30), hasTime: true }); // EST
+});
+
+test('all-day tasks stay all-day', () => {
+  const target = lib.resolveSnoozeRule('tomorrow', { now: ny(2026, 10, 19, 12), timeZone: NEW_YORK });
+  assert.deepEqual(plain(target), { dueDate: ny(2026, 10, 20, 9), hasTime: false });
+});
+
+test('the work schedule skips weekends and holidays in the configured zone', () => {
+  const schedule = createSchedule(['2026-10-19']);
+  const options = { now: ny(2026, 10, 16, 12), schedule, timeZone: NEW_YORK }; // Friday
+
+  assert.equal(lib.resolveSnoozeRule('tomorrow 10:00', options).dueDate, ny(2026, 10, 20, 10));
+  assert.equal(lib.resolveSnoozeRule('next business day', options).dueDate, ny(2026, 10, 20, 9));
+  // Offsets past the end of the day roll to the next working morning
+  assert.equal(lib.resolveSnoozeRule('+6h', options).dueDate, ny(2026, 10, 20, 9));
+});
+
+test('fitToWorkSchedule() moves times into working hours', () => {
+  const schedule = createSchedule();
+  const fit = (dueDate, hasTime = true) => plain(lib.fitToWorkSchedule({ dueDate, hasTime }, schedule, { timeZone: NEW_YORK }));
+
+  assert.deepEqual(fit(ny(2026, 10, 20, 7)), { dueDate: ny(2026, 10, 20, 9), hasTime: true });
+  assert.deepEqual(fit(ny(2026, 10, 20, 22)), { dueDate: ny(2026, 10, 20, 17), hasTime: true });
+  // Saturday 10:00 -> Monday 10:00
+  assert.deepEqual(fit(ny(2026, 10, 17, 10)), { dueDate: ny(2026, 10, 19, 10), hasTime: true });
+  // Fitting targets come back unchanged, seconds and all
+  const inHours = ny(2026, 10, 20, 11) + 1234;
+  assert.equal(fit(inHours).dueDate, inHours);
+});
+
+test('ICS holidays are calendar days, with yearly events repeated', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20261224', 'DTEND;VALUE=DATE:20261227', 'SUMMARY:Christmas break', 'END:VEVENT',
+    'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20200101', 'RRULE:FREQ=YEARLY', 'SUMMARY:New Year', 'END:VEVENT',
+    'BEGIN:VEVENT', 'DTSTART;VALUE=DATE:20250101', 'SUMMARY:Past', 'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+
+  const holidays = plain(lib.parseIcsHolidays(ics, ny(2026, 10, 18, 12), NEW_YORK));
+
+  assert.deepEqual(holidays.map(holiday => holiday.date), [
+    '2026-12-24', '2026-12-25', '2026-12-26', '2027-01-01', '2028-01-01'
+  ]);
+  assert.equal(holidays[3].name, 'New Year');
+});
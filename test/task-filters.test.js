@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers/load-scripts');
+
+const lib = loadScripts(['lib/task-filters.js']);
+
+const TASKS = [
+  {
+    id: 'a',
+    space: { id: 1 },
+    folder: { id: 10, name: 'Clients' },
+    list: { id: 100, name: 'Acme' },
+    tags: [{ name: 'billing', tag_bg: '#f00' }, { name: 'urgent', tag_bg: '#0f0' }],
+    priority: { id: '2', priority: 'high', color: '#ffcc00' },
+    status: { status: 'In Progress', color: '#5f55ee' }
+  },
+  {
+    id: 'b',
+    space: { id: 1 },
+    folder: { id: 11, name: 'hidden', hidden: true },
+    list: { id: 101, name: 'Inbox' },
+    tags: [],
+    priority: null,
+    status: { status: 'Open', color: '#d3d3d3' }
+  },
+  {
+    id: 'c',
+    space: { id: 2 },
+    folder: { id: 10, name: 'Clients' },
+    list: { id: 102, name: 'Beta' },
+    tags: [{ name: 'billing', tag_bg: '#f00' }],
+    priority: { id: '1', priority: 'urgent', color: '#f50000' }
+  }
+];
+
+function filter(filters) {
+  return TASKS.filter(task => lib.matchesTaskFilters(task, filters)).map(task => task.id);
+}
+
+test('no filters match every task', () => {
+  assert.deepEqual(filter(undefined), ['a', 'b', 'c']);
+  assert.deepEqual(filter(lib.emptyTaskFilters), ['a', 'b', 'c']);
+  assert.equal(lib.countActiveFilters(lib.emptyTaskFilters), 0);
+});
+
+test('any value within a dimension matches', () => {
+  assert.deepEqual(filter({ lists: ['100', '102'] }), ['a', 'c']);
+  assert.deepEqual(filter({ tags: ['urgent', 'billing'] }), ['a', 'c']);
+  assert.deepEqual(filter({ priorities: ['none'] }), ['b']);
+  assert.deepEqual(filter({ priorities: ['1', '2'] }), ['a', 'c']);
+  // Statuses compare in lowercase; tasks without one never match
+  assert.deepEqual(filter({ statuses: ['in progress', 'open'] }), ['a', 'b']);
+  // Lists outside a folder have none to filter on
+  assert.deepEqual(filter({ folders: ['10', '11'] }), ['a', 'c']);
+});
+
+test('every dimension must match', () => {
+  const filters = { spaces: ['1'], tags: ['billing'] };
+  assert.deepEqual(filter(filters), ['a']);
+  assert.deepEqual(filter({ ...filters, priorities: ['none'] }), []);
+  assert.equal(lib.countActiveFilters({ ...filters, lists: ['100', '101'] }), 4);
+});
+
+test('getTaskFilterOptions() builds sorted chips from the tasks', () => {
+  const options = plain(lib.getTaskFilterOptions(TASKS, { 1: 'Work' }, { ...lib.emptyTaskFilters, tags: ['gone'] }));
+
+  assert.deepEqual(options.spaces, [{ value: '2', label: 'Unknown space' }, { value: '1', label: 'Work' }]);
+  assert.deepEqual(options.folders, [{ value: '10', label: 'Clients' }]);
+  assert.deepEqual(options.lists.map(option => option.label), ['Acme', 'Beta', 'Inbox']);
+  // A selected value no task has any more stays, so it can be turned off
+  assert.deepEqual(options.tags, [
+    { value: 'billing', label: 'billing', color: '#f00' },
+    { value: 'gone', label: 'gone' },
+    { value: 'urgent', label: 'urgent', color: '#0f0' }
+  ]);
+  assert.deepEqual(options.priorities.map(option => [option.value, option.label]),
+    [['1', 'Urgent'], ['2', 'High'], ['none', 'No priority']]);
+  assert.deepEqual(options.statuses.map(option => option.value), ['in progress', 'open']);
+});
@@ -0,0 +1,228 @@
+// Windows are calendar days in the snapshot's zone; the process runs in
+// another one so local-date shortcuts would show up
+process.env.TZ = 'Asia/Tokyo';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers/load-scripts');
+
+const lib = loadScripts(['lib/time-zone.js', 'lib/task-snapshot.js']);
+
+const NEW_YORK = 'America/New_York';
+const ME = 1;
+const COLLEAGUE = 2;
+
+// Instant of a wall-clock time in New York
+function ny(month, day, hours = 12, minutes = 0) {
+  return lib.zonedTimeToTimestamp({ year: 2026, month, day, hours, minutes }, NEW_YORK);
+}
+
+// Friday 2026-10-16, 10:00 in New York (23:00 in Tokyo)
+const NOW = ny(10, 16, 10);
+
+const OPEN = { status: 'open', type: 'open' };
+const CLOSED = { status: 'done', type: 'closed' };
+
+function createTask(id, fields = {}) {
+  return { id, name: `Task ${id}`, status: OPEN, assignees: [{ id: ME }], ...fields };
+}
+
+function createSnapshot(tasks, fields = {}) {
+  return {
+    userId: ME,
+    timeZone: NEW_YORK,
+    window: lib.getTodayRange(NOW, NEW_YORK),
+    includesOverdue: false,
+    includesUndated: false,
+    includesInProgress: false,
+    assignees: { all: false, userIds: [] },
+    tasks,
+    completedTodayIds: [],
+    completedToday: 0,
+    ...fields
+  };
+}
+
+const ids = tasks => Array.from(tasks, task => task.id);
+
+test('selectTasks() picks tasks by window in the snapshot zone', () => {
+  const snapshot = createSnapshot([
+    createTask('today', { due_date: String(ny(10, 16, 23)) }),
+    createTask('tomorrow', { due_date: String(ny(10, 17, 1)) }),
+    createTask('next-week', { due_date: String(ny(10, 22)) }),
+    createTask('overdue', { due_date: String(ny(10, 14)) }),
+    createTask('undated')
+  ]);
+
+  assert.deepEqual(ids(lib.selectTasks(snapshot, { window: 'today' }, NOW)), ['today']);
+  assert.deepEqual(ids(lib.selectTasks(snapshot, { window: 'tomorrow' }, NOW)), ['tomorrow']);
+  assert.deepEqual(ids(lib.selectTasks(snapshot, { window: 'week' }, NOW)), ['today', 'tomorrow', 'next-week']);
+  assert.deepEqual(ids(lib.selectTasks(snapshot, { window: 'none' }, NOW)), ['undated']);
+  assert.deepEqual(ids(lib.selectTasks(snapshot, { window: 'custom', customStart: '2026-10-22', customEnd: '2026-10-17' }, NOW)),
+    ['tomorrow', 'next-week']);
+
+  const withOverdue = lib.selectTasks(snapshot, { window: 'today', includeOverdue: true }, NOW);
+  assert.deepEqual(Array.from(withOverdue, task => [task.id, task.isOverdue]), [['today', false], ['overdue', true]]);
+  assert.deepEqual(plain(lib.selectTasks(null, { window: 'today' }, NOW)), []);
+});
+
+test('selectTasks() marks tasks shown because they are in progress', () => {
+  const snapshot = createSnapshot([
+    createTask('underway', { start_date: String(ny(10, 12)), due_date: String(ny(10, 20)) }),
+    createTask('started-undated', { start_date: String(ny(10, 1)) }),
+    createTask('starts-later', { start_date: String(ny(10, 19)), due_date: String(ny(10, 20)) }),
+    createTask('due-today', { start_date: String(ny(10, 12)), due_date: String(ny(10, 16)) })
+  ]);
+
+  const tasks = lib.selectTasks(snapshot, { window: 'today', includeInProgress: true }, NOW);
+  assert.deepEqual(Array.from(tasks, task => [task.id, task.isInProgress]),
+    [['underway', true], ['started-undated', true], ['due-today', false]]);
+  assert.deepEqual(ids(lib.selectTasks(snapshot, { window: 'today' }, NOW)), ['due-today']);
+});
+
+test('matchesQuery() only shows closed tasks when asked, and never as overdue', () => {
+  const closedToday = createTask('a', { status: CLOSED, due_date: String(ny(10, 16)) });
+  const closedEarlier = createTask('b', { status: CLOSED, due_date: String(ny(10, 14)) });
+  const closedUndated = createTask('c', { status: CLOSED });
+  const closedUnderway = createTask('d', { status: CLOSED, start_date: String(ny(10, 12)) });
+
+  assert.equal(lib.matchesQuery(closedToday, { window: 'today' }, NOW, NEW_YORK), false);
+  assert.equal(lib.matchesQuery(closedToday, { window: 'today', includeCompleted: true }, NOW, NEW_YORK), true);
+
+  const everything = { includeCompleted: true, includeOverdue: true, includeInProgress: true };
+  assert.equal(lib.matchesQuery(closedEarlier, { window: 'today', ...everything }, NOW, NEW_YORK), false);
+  assert.equal(lib.isTaskOverdue(closedEarlier, NOW, NEW_YORK), false);
+  assert.equal(lib.matchesQuery(closedUndated, { window: 'none', ...everything }, NOW, NEW_YORK), false);
+  assert.equal(lib.matchesQuery(closedUnderway, { window: 'today', ...everything }, NOW, NEW_YORK), false);
+});
+
+test('matchesMembers() modes', () => {
+  const mine = createTask('a');
+  const shared = createTask('b', { assignees: [{ id: ME }, { id: '2' }] });
+  const unassigned = createTask('c', { assignees: [] });
+
+  const pick = members => ids([mine, shared, unassigned].filter(task => lib.matchesMembers(task, members, ME)));
+  assert.deepEqual(pick(undefined), ['a', 'b']);
+  assert.deepEqual(pick({ mode: 'me' }), ['a', 'b']);
+  assert.deepEqual(pick({ mode: 'selected', userIds: [COLLEAGUE] }), ['b']);
+  assert.deepEqual(pick({ mode: 'selected', userIds: [] }), []);
+  assert.deepEqual(pick({ mode: 'unassigned' }), ['c']);
+  assert.deepEqual(pick({ mode: 'everyone' }), ['a', 'b', 'c']);
+});
+
+test('getSnapshotCoverage() spans every query and always includes today', () => {
+  const today = lib.getTodayRange(NOW, NEW_YORK);
+  const coverage = lib.getSnapshotCoverage([
+    { window: 'tomorrow' },
+    { window: 'none', includeOverdue: true, members: { mode: 'selected', userIds: [COLLEAGUE, '2', 3] } }
+  ], NOW, NEW_YORK);
+
+  assert.deepEqual(plain(coverage), {
+    window: { start: today.start, end: lib.getDayKeyRange('2026-10-17', NEW_YORK).end },
+    includeOverdue: true,
+    includeUndated: true,
+    includeInProgress: false,
+    assignees: { all: false, userIds: ['2', '3'] }
+  });
+});
+
+test('snapshotCovers() needs a wide enough window and the same members', () => {
+  const todaySnapshot = createSnapshot([]);
+  const weekCoverage = lib.getSnapshotCoverage([{ window: 'week' }], NOW, NEW_YORK);
+  const todayCoverage = lib.getSnapshotCoverage([{ window: 'today' }], NOW, NEW_YORK);
+
+  assert.equal(lib.snapshotCovers(todaySnapshot, todayCoverage), true);
+  assert.equal(lib.snapshotCovers(todaySnapshot, weekCoverage), false);
+  assert.equal(lib.snapshotCovers(createSnapshot([], { window: weekCoverage.window }), todayCoverage), true);
+  assert.equal(lib.snapshotCovers(null, todayCoverage), false);
+
+  const overdueCoverage = lib.getSnapshotCoverage([{ window: 'today', includeOverdue: true }], NOW, NEW_YORK);
+  assert.equal(lib.snapshotCovers(todaySnapshot, overdueCoverage), false);
+  assert.equal(lib.snapshotCovers(createSnapshot([], { includesOverdue: true }), overdueCoverage), true);
+
+  const colleague = lib.getSnapshotCoverage([{ window: 'today', members: { mode: 'selected', userIds: [COLLEAGUE] } }], NOW, NEW_YORK);
+  const myself = lib.getSnapshotCoverage([{ window: 'today', members: { mode: 'selected', userIds: [ME] } }], NOW, NEW_YORK);
+  const everyone = lib.getSnapshotCoverage([{ window: 'today', members: { mode: 'everyone' } }], NOW, NEW_YORK);
+
+  assert.equal(lib.snapshotCovers(todaySnapshot, colleague), false);
+  assert.equal(lib.snapshotCovers(todaySnapshot, myself), true);
+  assert.equal(lib.snapshotCovers(todaySnapshot, everyone), false);
+  assert.equal(lib.snapshotCovers(createSnapshot([], { assignees: { all: false, userIds: ['2'] } }), colleague), true);
+  assert.equal(lib.snapshotCovers(createSnapshot([], { assignees: { all: false, userIds: ['2'] } }), everyone), false);
+  assert.equal(lib.snapshotCovers(createSnapshot([], { assignees: { all: true, userIds: [] } }), colleague), true);
+});
+
+test('belongsInSnapshot() follows the snapshot window, flags and members', () => {
+  const snapshot = createSnapshot([]);
+  const dueToday = createTask('a', { due_date: String(ny(10, 16)) });
+
+  assert.equal(lib.belongsInSnapshot(dueToday, snapshot, NOW), true);
+  assert.equal(lib.belongsInSnapshot({ ...dueToday, status: CLOSED }, snapshot, NOW), true);
+  assert.equal(lib.belongsInSnapshot({ ...dueToday, archived: true }, snapshot, NOW), false);
+  assert.equal(lib.belongsInSnapshot({ ...dueToday, due_date: String(ny(10, 17)) }, snapshot, NOW), false);
+  assert.equal(lib.belongsInSnapshot({ ...dueToday, assignees: [{ id: COLLEAGUE }] }, snapshot, NOW), false);
+  assert.equal(lib.belongsInSnapshot({ ...dueToday, assignees: [{ id: COLLEAGUE }] },
+    createSnapshot([], { assignees: { all: false, userIds: ['2'] } }), NOW), true);
+
+  const overdue = createTask('b', { due_date: String(ny(10, 14)) });
+  const undated = createTask('c');
+  assert.equal(lib.belongsInSnapshot(overdue, snapshot, NOW), false);
+  assert.equal(lib.belongsInSnapshot(undated, snapshot, NOW), false);
+
+  const wide = createSnapshot([], { includesOverdue: true, includesUndated: true });
+  assert.equal(lib.belongsInSnapshot(overdue, wide, NOW), true);
+  assert.equal(lib.belongsInSnapshot({ ...overdue, status: CLOSED }, wide, NOW), false);
+  assert.equal(lib.belongsInSnapshot(undated, wide, NOW), true);
+  assert.equal(lib.belongsInSnapshot({ ...undated, status: CLOSED }, wide, NOW), false);
+});
+
+test('mergeTaskChanges() evicts tasks that moved out of the window or were unassigned', () => {
+  const snapshot = createSnapshot([
+    createTask('moved', { due_date: String(ny(10, 16)) }),
+    createTask('unassigned', { due_date: String(ny(10, 16)) }),
+    createTask('untouched', { due_date: String(ny(10, 16)) })
+  ]);
+
+  const merged = lib.mergeTaskChanges(snapshot, [
+    createTask('moved', { due_date: String(ny(10, 20)) }),
+    createTask('unassigned', { due_date: String(ny(10, 16)), assignees: [] }),
+    createTask('new', { due_date: String(ny(10, 16, 18)), description: 'Not kept in the snapshot' })
+  ], NOW);
+
+  assert.deepEqual(ids(merged.tasks), ['untouched', 'new']);
+  assert.equal(merged.tasks[1].description, undefined);
+  assert.deepEqual(ids(snapshot.tasks), ['moved', 'unassigned', 'untouched']);
+});
+
+test('mergeTaskChanges() keeps tasks closed today and counts them, drops ones closed earlier', () => {
+  const snapshot = createSnapshot([
+    createTask('done-now', { due_date: String(ny(10, 16)) }),
+    createTask('was-overdue', { due_date: String(ny(10, 14)) })
+  ], { includesOverdue: true, completedTodayIds: ['reopened'], completedToday: 1 });
+
+  const merged = lib.mergeTaskChanges(snapshot, [
+    createTask('done-now', { due_date: String(ny(10, 16)), status: CLOSED, date_done: String(ny(10, 16, 9)) }),
+    createTask('was-overdue', { due_date: String(ny(10, 14)), status: CLOSED, date_done: String(ny(10, 16, 9)) }),
+    createTask('reopened', { due_date: String(ny(10, 16)) })
+  ], NOW);
+
+  assert.deepEqual(ids(merged.tasks), ['done-now', 'reopened']);
+  assert.deepEqual(plain(merged.completedTodayIds), ['done-now', 'was-overdue']);
+  assert.equal(merged.completedToday, 2);
+});
+
+test('mergeTaskChanges() keeps subtasks with their parent id', () => {
+  const snapshot = createSnapshot([createTask('parent', { due_date: String(ny(10, 20)) })], {
+    window: lib.getWindowRange({ window: 'week' }, NOW, NEW_YORK)
+  });
+
+  const merged = lib.mergeTaskChanges(snapshot, [
+    createTask('child', { due_date: String(ny(10, 16)), parent: 'parent' }),
+    createTask('orphan', { due_date: String(ny(10, 16)), parent: 'elsewhere' })
+  ], NOW);
+
+  assert.deepEqual(Array.from(merged.tasks, task => [task.id, task.parent ?? null]),
+    [['parent', null], ['child', 'parent'], ['orphan', 'elsewhere']]);
+  // Subtasks show on their own, whether or not their parent is in the view
+  assert.deepEqual(ids(lib.selectTasks(merged, { window: 'today' }, NOW)), ['child', 'orphan']);
+});
@@ -0,0 +1,81 @@
+// The browser (process) zone is deliberately far from the zones under test,
+// so anything still using local dates shows up as a wrong day
+process.env.TZ = 'Pacific/Auckland';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers/load-scripts');
+
+const lib = loadScripts(['lib/time-zone.js', 'lib/task-snapshot.js']);
+
+const NEW_YORK = 'America/New_York';
+const HOUR = 60 * 60 * 1000;
+
+test('spring-forward days are 23 hours long', () => {
+  const { start, end } = lib.getDayKeyRange('2026-03-08', NEW_YORK);
+
+  assert.equal(start, Date.UTC(2026, 2, 8, 5)); // Midnight EST
+  assert.equal(end + 1 - start, 23 * HOUR);
+});
+
+test('fall-back days are 25 hours long', () => {
+  const { start, end } = lib.getDayKeyRange('2026-11-01', NEW_YORK);
+
+  assert.equal(start, Date.UTC(2026, 10, 1, 4)); // Midnight EDT
+  assert.equal(end + 1 - start, 25 * HOUR);
+});
+
+test('wall-clock times around DST changes', () => {
+  // 01:30 on the fall-back day happens twice; the first (EDT) one is used
+  assert.equal(lib.zonedTimeToTimestamp({ year: 2026, month: 11, day: 1, hours: 1, minutes: 30 }, NEW_YORK),
+    Date.UTC(2026, 10, 1, 5, 30));
+  // 02:30 on the spring-forward day doesn't exist; it moves on to 03:30 EDT
+  assert.equal(lib.zonedTimeToTimestamp({ year: 2026, month: 3, day: 8, hours: 2, minutes: 30 }, NEW_YORK),
+    Date.UTC(2026, 2, 8, 7, 30));
+  assert.equal(lib.zonedTimeToTimestamp({ year: 2026, month: 9, day: 27, hours: 2, minutes: 30 }, 'Pacific/Auckland'),
+    Date.UTC(2026, 8, 26, 14, 30));
+  // Times after the change get the new offset
+  assert.equal(lib.zonedTimeToTimestamp({ year: 2026, month: 3, day: 8, hours: 9, minutes: 0 }, NEW_YORK),
+    Date.UTC(2026, 2, 8, 13));
+});
+
+test('zones that skip midnight start the day at 01:00', () => {
+  // Santiago springs forward at midnight
+  const { start } = lib.getDayKeyRange('2026-09-06', 'America/Santiago');
+  assert.equal(lib.getDayKey(start, 'America/Santiago'), '2026-09-06');
+  assert.equal(lib.getZonedParts(start, 'America/Santiago').hours, 1);
+});
+
+test('day keys step over DST changes without drifting', () => {
+  assert.equal(lib.shiftDayKey('2026-03-07', 1), '2026-03-08');
+  assert.equal(lib.shiftDayKey('2026-03-08', 1), '2026-03-09');
+  assert.equal(lib.shiftDayKey('2026-10-31', 1), '2026-11-01');
+  assert.equal(lib.countDaysBetween('2026-03-01', '2026-04-01'), 31);
+  assert.equal(lib.getDayKeyWeekday('2026-03-08'), 0);
+});
+
+test('the configured zone decides the day, not the browser\'s', () => {
+  // 03:00 UTC: already Sunday in Auckland, still Saturday evening in New York
+  const now = Date.UTC(2026, 9, 18, 3);
+
+  assert.equal(lib.getDayKey(now, 'Pacific/Auckland'), '2026-10-18');
+  assert.equal(lib.getDayKey(now, NEW_YORK), '2026-10-17');
+  assert.deepEqual(plain(lib.getTodayRange(now, NEW_YORK)), plain(lib.getDayKeyRange('2026-10-17', NEW_YORK)));
+  assert.deepEqual(plain(lib.getWindowDays({ window: 'tomorrow' }, now, NEW_YORK)), { from: '2026-10-18', to: '2026-10-18' });
+});
+
+test('all-day due dates count as their calendar day', () => {
+  // ClickUp stores all-day dates as a time on that day in the user's zone
+  const task = { due_date: String(Date.UTC(2026, 9, 20, 4)), due_date_time: false }; // Midnight in New York
+
+  assert.equal(lib.getDueDayKey(task, NEW_YORK), '2026-10-20');
+  assert.equal(lib.getDueDayKey(task, 'Pacific/Auckland'), '2026-10-20');
+  assert.equal(lib.getDueDayKey(task, 'America/Los_Angeles'), '2026-10-19');
+  assert.equal(lib.getDueDayKey({ due_date: null }, NEW_YORK), null);
+});
+
+test('isValidTimeZone() rejects unknown zones', () => {
+  assert.equal(lib.isValidTimeZone(NEW_YORK), true);
+  assert.equal(lib.isValidTimeZone('Mars/Olympus_Mons'), false);
+  assert.equal(lib.isValidTimeZone(''), false);
+});
@@ -0,0 +1,108 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers/load-scripts');
+const { createChromeStub } = require('./helpers/chrome-stub');
+
+let lib;
+
+beforeEach(() => {
+  lib = loadScripts([
+    'lib/settings.js',
+    'lib/request-scheduler.js',
+    'lib/clickup-api.js',
+    'lib/time-zone.js',
+    'lib/task-snapshot.js',
+    'lib/outbox.js',
+    'lib/timers.js'
+  ], { chrome: createChromeStub() });
+});
+
+const MINUTE = 60 * 1000;
+
+test('reconcileTimers() drops synced timers whose ClickUp entry stopped', () => {
+  const timers = {
+    a: lib.createTimer(1000, { teamId: '1', entryId: 'e1' }),
+    b: lib.createTimer(2000, { teamId: '2', entryId: 'e2' }),
+    c: lib.createTimer(3000)
+  };
+
+  const { timers: result, replaced } = lib.reconcileTimers(timers, { 1: null, 2: { id: 'e2', task: { id: 'b' }, start: '2000' } });
+
+  assert.deepEqual(Object.keys(result), ['b', 'c']);
+  assert.deepEqual(plain(replaced), []);
+});
+
+test('reconcileTimers() hands a replaced local timer\'s time back for logging', () => {
+  const local = lib.createTimer(10 * MINUTE);
+  const running = { 1: { id: 'e1', task: { id: 'a' }, start: String(25 * MINUTE) } };
+
+  const { timers, replaced } = lib.reconcileTimers({ a: local }, running);
+
+  assert.deepEqual(plain(timers.a), plain(lib.createTimer(25 * MINUTE, { teamId: '1', entryId: 'e1' })));
+  assert.deepEqual(plain(replaced), [{ taskId: 'a', timer: plain(local), end: 25 * MINUTE }]);
+});
+
+test('syncRunningTimers() logs the replaced timer up to when ClickUp\'s started', async () => {
+  const now = Date.now();
+  await lib.saveActiveTimers({
+    a: lib.createTimer(now - 30 * MINUTE),
+    b: lib.createTimer(now - 5 * MINUTE) // Started after ClickUp's: nothing of its own to log
+  });
+  const logged = [];
+  const client = {
+    getRunningTimeEntry: async teamId => (teamId === '1'
+      ? { id: 'e1', task: { id: 'a', name: 'A' }, start: String(now - 10 * MINUTE) }
+      : { id: 'e2', task: { id: 'b', name: 'B' }, start: String(now - 20 * MINUTE) }),
+    createTimeEntry: async (taskId, entry) => logged.push({ taskId, ...entry })
+  };
+
+  assert.equal(await lib.syncRunningTimers(client, ['1', '2']), true);
+
+  assert.deepEqual(logged, [{ taskId: 'a', start: now - 30 * MINUTE, end: now - 10 * MINUTE, duration: 20 * MINUTE }]);
+  const timers = await lib.loadActiveTimers();
+  assert.equal(timers.a.remote.entryId, 'e1');
+  assert.equal(timers.b.remote.entryId, 'e2');
+  assert.equal((await lib.loadOutbox()).length, 0);
+});
+
+function createRemoteClient(running, entry = null) {
+  const calls = [];
+  return {
+    calls,
+    getRunningTimeEntry: async () => running,
+    stopTimeEntry: async teamId => calls.push(['stop', teamId]),
+    getTimeEntry: async (teamId, entryId) => entry,
+    updateTimeEntry: async (teamId, entryId, fields) => calls.push(['update', entryId, fields])
+  };
+}
+
+test('logTimerEntry() stops ClickUp\'s timer and takes idle time off it', async () => {
+  const timer = { ...lib.createTimer(0, { teamId: '1', entryId: 'e1' }), pausedDuration: 10 * MINUTE };
+  const client = createRemoteClient({ id: 'e1' });
+
+  await lib.logTimerEntry(client, 'a', timer, 60 * MINUTE);
+
+  assert.deepEqual(plain(client.calls), [
+    ['stop', '1'],
+    ['update', 'e1', { tid: 'a', start: 0, end: 60 * MINUTE, duration: 50 * MINUTE }]
+  ]);
+});
+
+test('logTimerEntry() still takes idle time off an entry stopped elsewhere', async () => {
+  const timer = { ...lib.createTimer(0, { teamId: '1', entryId: 'e1' }), pausedDuration: 5 * MINUTE, pausedAt: 30 * MINUTE };
+
+  // Stopped in ClickUp at 40 minutes, while the local timer was paused
+  const stopped = createRemoteClient(null, { id: 'e1', end: String(40 * MINUTE) });
+  await lib.logTimerEntry(stopped, 'a', timer, 60 * MINUTE);
+  assert.deepEqual(plain(stopped.calls), [['update', 'e1', { tid: 'a', start: 0, end: 40 * MINUTE, duration: 25 * MINUTE }]]);
+
+  // Replaced by another timer at 20 minutes, before the pause began
+  const replaced = createRemoteClient({ id: 'e2' }, { id: 'e1', end: String(20 * MINUTE) });
+  await lib.logTimerEntry(replaced, 'a', timer, 60 * MINUTE);
+  assert.deepEqual(plain(replaced.calls), [['update', 'e1', { tid: 'a', start: 0, end: 20 * MINUTE, duration: 15 * MINUTE }]]);
+
+  // Never paused: ClickUp's entry is right as it is
+  const untouched = createRemoteClient(null, { id: 'e1', end: String(40 * MINUTE) });
+  await lib.logTimerEntry(untouched, 'a', lib.createTimer(0, { teamId: '1', entryId: 'e1' }), 60 * MINUTE);
+  assert.deepEqual(untouched.calls, []);
+});